@@ -68,6 +68,9 @@ module.exports = function applyTemplate() {
           key: 'file.open',
           accelerator: 'o'
         },
+        {
+          key: 'file.importgcode'
+        },
         {
           type: 'separator'
         },
@@ -18,6 +18,9 @@ module.exports = function applyTemplate() {
           key: 'file.open',
           accelerator: 'o'
         },
+        {
+          key: 'file.importgcode'
+        },
         {
           type: 'separator'
         },
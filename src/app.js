@@ -159,6 +159,7 @@ function editorLoadedInit() { /* jshint ignore:line */
   buildToolbar();
   buildImageImporter();
   buildColorPicker();
+  buildPathProperties();
 
   // Initialize overlay modal windows.
   mainWindow.overlay.initWindows();
@@ -273,7 +274,7 @@ function selectColor(index) {
   if (paper.selectRect) {
     if (paper.selectRect.ppaths.length) {
       _.each(paper.selectRect.ppaths, function(path){
-        if (path.data.fill === true) {
+        if (path.data.fill === true || path.data.dot) {
           path.fillColor = paper.pancakeShades[index];
         } else {
           path.strokeColor = paper.pancakeShades[index];
@@ -288,6 +289,67 @@ function selectColor(index) {
   }
 }
 
+// Bind the per path pour settings panel, shown while paths are selected.
+function buildPathProperties() {
+  $('#pathprops').submit(function(e) { e.preventDefault(); });
+
+  // Empty values remove the override, to use the export setting instead.
+  $('#pathprops input').change(function() {
+    if (!paper.selectRect) return;
+
+    var key = this.name;
+    var value = parseFloat(this.value);
+    if (!isNaN(value)) {
+      value = Math.min(Math.max(value, this.min), this.max);
+      this.value = value;
+    }
+
+    _.each(paper.selectRect.ppaths, function(path) {
+      var overrides = _.extend({}, path.data.overrides);
+      if (isNaN(value)) {
+        delete overrides[key];
+      } else {
+        overrides[key] = value;
+      }
+
+      if (_.isEmpty(overrides)) {
+        delete path.data.overrides;
+      } else {
+        path.data.overrides = overrides;
+      }
+    });
+
+    paper.fileChanged();
+  });
+
+  // Called by the select tool whenever the selection changes.
+  paper.selectionChanged = updatePathProperties;
+}
+
+// Show the pour settings of the selected paths, if any.
+function updatePathProperties() {
+  var paths = [];
+  if (paper.selectRect && !paper.imageTraceMode) {
+    paths = paper.selectRect.ppaths;
+  }
+
+  $('#pathprops').toggle(paths.length > 0);
+  $('#pathprops input').each(function() {
+    var key = this.name;
+    var values = _.uniq(_.map(paths, function(path) {
+      return path.data.overrides ? path.data.overrides[key] : undefined;
+    }));
+
+    // Only show a value if all the selected paths share it.
+    this.value = values.length === 1 && values[0] !== undefined ?
+      values[0] : '';
+    $(this).attr(
+      'placeholder',
+      i18n.t('pathprops.' + (values.length > 1 ? 'mixed' : 'default'))
+    );
+  });
+}
+
 // Build the fake tool placeholder for image import
 function buildImageImporter() {
   var $importButton = $('<div>')
@@ -465,6 +527,21 @@ function bindControls() {
           });
         });
         break;
+      case 'file.importgcode':
+        if (!document.hasFocus()) return; // Triggered from devtools otherwise
+        checkFileStatus(function() {
+          mainWindow.dialog({
+            t: 'OpenDialog',
+            title: i18n.t(menu),
+            filters: [
+              { name: i18n.t('file.gcodetype'), extensions: ['gcode'] }
+            ]
+          }, function(filePath){
+            if (!filePath) return; // Cancelled
+            paper.importGCODE(filePath[0]);
+          });
+        });
+        break;
       case 'file.new':
       case 'file.close':
         checkFileStatus(function(){
@@ -546,6 +623,8 @@ function bindControls() {
     $(this).change(function(){
       if (this.type === 'checkbox') {
         app.settings.v[key] = $(this).prop('checked');
+      } else if (this.tagName === 'SELECT' || this.type === 'hidden') {
+        app.settings.v[key] = this.value;
       } else {
         app.settings.v[key] = parseFloat(this.value);
       }
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * @file This is the headless command line GCODE exporter. Loads PancakePainter
+ * project (.pbp) files and renders them through the same GCODE renderer and
+ * settings mapping used by the export window, without any Electron UI.
+ *
+ * Usage: node src/cli.js [options] <file.pbp|folder> [...]
+ **/
+"use strict";
+/*globals _, paper */
+var path = require('path');
+var fs = require('fs');
+var renderSettings = require('./settings');
+var dialects = require('./gcode.dialects');
+var packageData = require('../package.json');
+
+// The GCODE renderer expects these as globals, same as the simulator webview.
+// Paper.js is only loaded once there's something to render, as it needs the
+// canvas binding.
+global._ = require('underscore');
+
+// Valid values for options that take one of a list.
+var fillStrategies = ['shape', 'spiral', 'line'];
+var splitModes = ['shade', 'pancake'];
+
+var usage = [
+  'Usage: node src/cli.js [options] <file.pbp|folder> [...]',
+  '',
+  'Renders PancakePainter project files into PancakeBot GCODE files.',
+  '',
+  'Options:',
+  '  -o, --out <folder>      Folder to write GCODE files to. Defaults to the',
+  '                          same folder as each project file.',
+  '  -s, --settings <file>   JSON settings file to use over the defaults,',
+  '                          EG the settings.json saved by the application.',
+  '  --fill <strategy>       Fill strategy for fills, "shape", "spiral" or',
+  '                          "line" for diagonal line fill.',
+  '  --linefill              Use diagonal line fill for fills.',
+  '  --shapefill             Use shape fill for fills.',
+  '  --no-mirror             Don\'t mirror the output.',
+  '  --clip                  Clip anything outside the printable area.',
+  '  --split <mode>          Write a separate file for each "shade" or each',
+  '                          "pancake", EG "name-shade4.gcode".',
+  '  -d, --dialect <id>      Firmware dialect to export for, EG "pancakebot"',
+  '                          or "marlin".',
+  '  --reproducible          Write the same GCODE every time for the same',
+  '                          project & settings, without the export time.',
+  '  -h, --help              Show this help.',
+].join('\n');
+
+/**
+ * Parse the command line arguments into an options object.
+ * @param  {Array} args
+ *   Arguments list, without the node executable & script path.
+ * @return {Object}
+ *   Parsed options, with the list of input files/folders in "inputs", and
+ *   "error" set to the reason if the arguments aren't valid.
+ */
+function parseArgs(args) {
+  var options = {inputs: [], mirror: true};
+
+  for (var i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-o':
+      case '--out':
+        options.out = args[++i];
+        break;
+      case '-s':
+      case '--settings':
+        options.settingsFile = args[++i];
+        break;
+      case '--fill':
+        options.fill = args[++i];
+        if (fillStrategies.indexOf(options.fill) === -1) {
+          options.error = 'Unknown fill strategy "' + options.fill + '"';
+        }
+        break;
+      case '--linefill':
+        options.fill = 'line';
+        break;
+      case '--shapefill':
+        options.fill = 'shape';
+        break;
+      case '--no-mirror':
+        options.mirror = false;
+        break;
+      case '--clip':
+        options.clip = true;
+        break;
+      case '--split':
+        options.split = args[++i];
+        if (splitModes.indexOf(options.split) === -1) {
+          options.error = 'Unknown split mode "' + options.split + '"';
+        }
+        break;
+      case '-d':
+      case '--dialect':
+        options.dialect = args[++i];
+        if (!dialects.profiles[options.dialect]) {
+          options.error = 'Unknown dialect "' + options.dialect +
+            '", expected one of: ' + _.keys(dialects.profiles).join(', ');
+        }
+        break;
+      case '--reproducible':
+        options.reproducible = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (args[i][0] === '-') {
+          options.error = 'Unknown option "' + args[i] + '"';
+        } else {
+          options.inputs.push(args[i]);
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load the JSON settings file given, if any.
+ * @param  {String} file
+ *   Path to the settings file, or undefined for none.
+ * @return {Object}
+ *   Settings object, empty if no file was given.
+ */
+function loadSettings(file) {
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Build the full renderConfig object, as the export window would.
+ * @param  {Object} options
+ *   Parsed command line options.
+ * @return {Object}
+ *   Configuration to be passed to the GCODE renderer.
+ */
+function getRenderConfig(options) {
+  var constants = renderSettings.constants;
+  var v = _.extend(
+    {}, renderSettings.defaults, renderSettings.upgrade(options.settings)
+  );
+  if (options.fill) {
+    v.fillstrategy = options.fill;
+  }
+  if (options.dialect) {
+    v.dialect = options.dialect;
+  }
+  if (options.split) {
+    v.exportsplit = options.split;
+  }
+  if (options.reproducible) {
+    v.reproducible = true;
+  }
+
+  var rc = {
+    printArea: renderSettings.getPrintArea(constants),
+    version: packageData.version,
+    sourceBounds: renderSettings.getSourceBounds(constants),
+    noMirror: !options.mirror,
+    clipToBounds: !!options.clip
+  };
+
+  return renderSettings.applyRenderSettings(rc, v, constants);
+}
+
+/**
+ * Expand an input into a list of project files.
+ * @param  {String} input
+ *   Project file or folder path.
+ * @return {Array}
+ *   List of project file paths, every .pbp file in the folder for a folder.
+ */
+function getProjectFiles(input) {
+  if (!fs.statSync(input).isDirectory()) return [input];
+
+  var files = [];
+  _.each(fs.readdirSync(input).sort(), function(name) {
+    if (path.extname(name).toLowerCase() === '.pbp') {
+      files.push(path.join(input, name));
+    }
+  });
+  return files;
+}
+
+/**
+ * Render a single project file to GCODE and write it out.
+ * @param  {String} file
+ *   Path to the project file.
+ * @param  {Function} gcRender
+ *   GCODE renderer function.
+ * @param  {Object} config
+ *   Render configuration.
+ * @param  {String} outDir
+ *   Folder to write to, or undefined to write next to the project file.
+ * @return {Array}
+ *   Paths of the written GCODE files.
+ */
+function exportFile(file, gcRender, config, outDir) {
+  var parsed = path.parse(file);
+  var dest = path.join(outDir || parsed.dir, parsed.name);
+
+  paper.project.clear();
+  paper.project.importJSON(fs.readFileSync(file, 'utf8'));
+
+  // Drawing layer is always the top layer, @see editor.ps.js paper.loadPBP
+  var mainLayer = paper.project.layers[paper.project.layers.length - 1];
+  if (config.splitExport && config.splitExport !== 'none') {
+    return _.map(gcRender.split(mainLayer, config), function(part) {
+      var partDest = dest + '-' + part.name + '.gcode';
+      fs.writeFileSync(partDest, part.gcode);
+      return partDest;
+    });
+  }
+
+  fs.writeFileSync(dest + '.gcode', gcRender(mainLayer, config));
+  return [dest + '.gcode'];
+}
+
+function main() {
+  var options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    process.exit(0);
+  } else if (options.error || !options.inputs.length) {
+    if (options.error) console.error(options.error + '\n');
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    options.settings = loadSettings(options.settingsFile);
+  } catch(e) {
+    console.error(
+      'Error loading settings "' + options.settingsFile + '":', e.message
+    );
+    process.exit(1);
+  }
+
+  var config = getRenderConfig(options);
+  global.paper = require('paper');
+  paper.setup(new paper.Size(
+    config.sourceBounds.width,
+    config.sourceBounds.height
+  ));
+
+  var gcRender = require('./gcode.js')(); // GCODE renderer.
+  var failed = 0;
+  _.each(options.inputs, function(input) {
+    var files = [];
+    try {
+      files = getProjectFiles(input);
+    } catch(e) {
+      console.error('Error reading "' + input + '":', e.message);
+      failed++;
+    }
+
+    _.each(files, function(file) {
+      try {
+        var dests = exportFile(file, gcRender, config, options.out);
+        console.log(file + ' -> ' + dests.join(', '));
+      } catch(e) {
+        console.error('Error exporting "' + file + '":', e.message);
+        failed++;
+      }
+    });
+  });
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
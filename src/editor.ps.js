@@ -8,6 +8,8 @@
  */
 
 var dataURI = require('datauri');
+var gcParser = require('./gcode.parser');
+var renderSettings = require('./settings');
 
 paper.strokeWidth = 5; // Custom
 paper.settings.handleSize = 10;
@@ -30,6 +32,7 @@ paper.pancakeCurrentShade = 0;
 // TODO: Load all tools in folder based on weight
 var toolPen = require('./tools/tool.pen')(paper);
 var toolFill = require('./tools/tool.fill')(paper); /* jshint ignore:line */
+var toolDot = require('./tools/tool.dot')(paper); /* jshint ignore:line */
 var toolSelect = require('./tools/tool.select')(paper);
 
 // Load Helpers
@@ -174,6 +177,9 @@ paper.handleUndo = function(op) {
 
 // Handle clipboard requests
 paper.handleClipboard = function(op) {
+  // Leave text field editing keys alone.
+  if (op.target && op.target.nodeName === 'INPUT') return;
+
   // Select all is being weird...
   // TODO: this probably shouldn't go here...
   if (op.ctrlKey && op.keyCode === 65) {
@@ -235,9 +241,26 @@ paper.getPBP = function(){
 // Called whenever the file is changed from a tool
 paper.fileChanged = function() {
   app.currentFile.changed = true;
+  paper.setItemIDs();
   paper.undo.stateChanged();
 };
 
+// Give every drawing item its own ID number in its data, saved with the file
+// so exported GCODE can refer back to the item whatever the item order. Items
+// copied with the ID of another are given a new one.
+paper.setItemIDs = function() {
+  var items = paper.mainLayer.children;
+  var nextID = _.max(_.map(items, function(item) {
+    return item.data.id || 0;
+  }).concat(0)) + 1;
+
+  var used = {};
+  _.each(items, function(item) {
+    if (!item.data.id || used[item.data.id]) item.data.id = nextID++;
+    used[item.data.id] = true;
+  });
+};
+
 // Stopgap till https://github.com/paperjs/paper.js/issues/801 is resolved.
 // Clean a path of duplicated segment points, triggered on change/create
 paper.cleanPath = function(path){
@@ -273,11 +296,95 @@ paper.loadPBP = function(filePath){
     paper.traceImage.img = paper.traceImage.children[0];
   }
 
+  // Files from before item IDs were added won't have them.
+  paper.setItemIDs();
+
   toastr.info(i18n.t('file.opened', {file: app.currentFile.name}));
   paper.undo.clearState();
   view.update();
 };
 
 
+// Import a given GCODE filepath into a new project as editable batter paths.
+paper.importGCODE = function(filePath){
+  var gcode = fs.readFileSync(filePath, "utf8");
+  var parsed = gcParser.parseRuns(gcode, {
+    printArea: renderSettings.getPrintArea(app.constants)
+  });
+
+  // Files from before the mirror note was added were always mirrored.
+  var noMirror = gcParser.getHeaderSetting(gcode, 'noMirror') === 'true';
+  var lastShade = paper.pancakeShades.length - 1;
+  var sourceBounds = renderSettings.getSourceBounds(app.constants);
+
+  paper.newPBP();
+
+  var count = 0;
+  _.each(parsed.runs, function(run) {
+    var points = _.map(run.points, function(p) {
+      var point = gcParser.unMap(
+        p, parsed.printArea, sourceBounds, noMirror
+      );
+      return new Point(point.x, point.y);
+    });
+
+    // Shade from the notes, or assume darkest first in order of pouring.
+    var color = run.color;
+    if (typeof color === 'undefined') {
+      color = Math.max(lastShade - run.group, 0);
+    }
+    color = Math.min(Math.max(color, 0), lastShade);
+
+    // Dots are sized to match how long they pour, @see paper.setDotDwell.
+    if (run.dot) {
+      if (!points.length) return;
+      var area = Math.max(run.dwell / app.constants.dotDwell, 1);
+      new Path.Circle({
+        center: points[0],
+        radius: paper.strokeWidth * Math.sqrt(area),
+        fillColor: paper.pancakeShades[color],
+        data: {color: color, dot: true, dwell: run.dwell}
+      });
+      count++;
+      return;
+    }
+
+    var batterPath = new Path({
+      segments: points,
+      strokeColor: paper.pancakeShades[color],
+      strokeWidth: paper.strokeWidth,
+      strokeCap: 'round',
+      miterLimit: 1,
+      data: {color: color, isPolygonal: true}
+    });
+    paper.cleanPath(batterPath);
+
+    // Single points can't be edited, and are likely only pump primes.
+    if (batterPath.segments.length < 2) {
+      batterPath.remove();
+      return;
+    }
+
+    // Lines that end where they started were closed shapes.
+    var first = batterPath.firstSegment.point;
+    var last = batterPath.lastSegment.point;
+    if (batterPath.segments.length > 2 && first.isClose(last, 1)) {
+      batterPath.lastSegment.remove();
+      batterPath.closed = true;
+    }
+
+    count++;
+  });
+
+  // Imported files are new unsaved projects, named after the GCODE file.
+  var parsedPath = path.parse(filePath);
+  app.currentFile.path = path.join(parsedPath.dir, parsedPath.name + '.pbp');
+  app.currentFile.changed = true;
+
+  toastr.info(i18n.t('file.imported', {file: parsedPath.base, count: count}));
+  paper.undo.clearState();
+  view.update();
+};
+
 // Editor should be done loading, trigger loadInit
 editorLoadedInit();
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * @file This is the command line PancakeBot firmware emulator server, for
+ * testing direct printing without a physical bot. Listens on a TCP socket, and
+ * optionally a pseudo-terminal through socat, with a fresh emulated bot for
+ * each connection. Each connection's recording is written out when it closes,
+ * and can be viewed from the export window's direct print panel.
+ *
+ * Usage: node src/emulator.js [options]
+ **/
+"use strict";
+var net = require('net');
+var fs = require('fs');
+var childProcess = require('child_process');
+var _ = require('underscore');
+var transports = require('./gcode.transports');
+var createEmulator = require('./gcode.emulator');
+var dialects = require('./gcode.dialects');
+
+var usage = [
+  'Usage: node src/emulator.js [options]',
+  '',
+  'Emulates a PancakeBot for direct printing, replying "ok" to each GCODE',
+  'command once the bot would have finished it.',
+  '',
+  'Options:',
+  '  -p, --port <port>       TCP port to listen on, defaults to 2323. Print to',
+  '                          "tcp://localhost:2323".',
+  '  --pty <path>            Also create a pseudo-terminal linked at the given',
+  '                          path to print to, EG "/tmp/pancakebot". Requires',
+  '                          socat to be installed.',
+  '  -r, --record <file>     File to write the recording of each connection',
+  '                          to, defaults to "emulator-recording.gcode".',
+  '  -d, --dialect <id>      Firmware dialect to accept, EG "pancakebot".',
+  '  --speed <multiplier>    Run this many times faster than real time.',
+  '  --noise <rate>          Chance from 0 to 1 of each numbered line being',
+  '                          received corrupted, to test resends.',
+  '  -h, --help              Show this help.',
+].join('\n');
+
+/**
+ * Parse a number argument, checking it's within the allowed range.
+ * @param  {String} value
+ *   Argument value as given.
+ * @param  {Number} min
+ *   Lowest allowed value.
+ * @param  {Number} max
+ *   Highest allowed value.
+ * @return {Number}
+ *   The parsed number, or NaN if it isn't a number within the range.
+ */
+function parseNumber(value, min, max) {
+  var number = Number(value);
+  if (!value || number < min || number > max) return NaN;
+  return number;
+}
+
+/**
+ * Parse the command line arguments into an options object.
+ * @param  {Array} args
+ *   Arguments list, without the node executable & script path.
+ * @return {Object}
+ *   Parsed options, with "error" set to the reason if the arguments aren't
+ *   valid.
+ */
+function parseArgs(args) {
+  var options = {port: 2323, record: 'emulator-recording.gcode', speed: 1};
+
+  for (var i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-p':
+      case '--port':
+        options.port = parseNumber(args[++i], 1, 65535);
+        if (isNaN(options.port) || options.port % 1) {
+          options.error = 'Invalid port "' + args[i] + '"';
+        }
+        break;
+      case '--pty':
+        options.pty = args[++i];
+        break;
+      case '-r':
+      case '--record':
+        options.record = args[++i];
+        break;
+      case '-d':
+      case '--dialect':
+        options.dialect = args[++i];
+        if (!dialects.profiles[options.dialect]) {
+          options.error = 'Unknown dialect "' + options.dialect +
+            '", expected one of: ' + _.keys(dialects.profiles).join(', ');
+        }
+        break;
+      case '--speed':
+        options.speed = parseNumber(args[++i], 0, Infinity);
+        if (!options.speed) {
+          options.error = 'Invalid speed "' + args[i] + '"';
+        }
+        break;
+      case '--noise':
+        options.noise = parseNumber(args[++i], 0, 1);
+        if (isNaN(options.noise)) {
+          options.error = 'Invalid noise rate "' + args[i] + '"';
+        }
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        options.error = 'Unknown option "' + args[i] + '"';
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Keep a pseudo-terminal linked to the TCP port with socat, starting a new one
+ * whenever the last is closed.
+ * @param  {Object} options
+ *   Parsed command line options.
+ */
+function linkPty(options) {
+  var socat = childProcess.spawn('socat', [
+    'pty,raw,echo=0,link=' + options.pty,
+    'tcp:127.0.0.1:' + options.port
+  ], {stdio: 'inherit'});
+
+  socat.on('error', function(e) {
+    console.error('Unable to create the pseudo-terminal:', e.message);
+    options.pty = null;
+  });
+
+  socat.on('exit', function() {
+    if (options.pty) setTimeout(function() { linkPty(options); }, 500);
+  });
+}
+
+function main() {
+  var options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    process.exit(0);
+  } else if (options.error) {
+    console.error(options.error + '\n');
+    console.error(usage);
+    process.exit(1);
+  }
+
+  var server = net.createServer(function(socket) {
+    console.log('Connected.');
+    var emulator = createEmulator({
+      dialect: options.dialect,
+      timeScale: options.speed,
+      errorRate: options.noise
+    });
+
+    var transport = transports.stream(socket, socket);
+    emulator.attach(transport);
+    transport.onClose(function() {
+      if (!emulator.state.commands) return console.log('Disconnected.');
+      fs.writeFileSync(options.record, emulator.getRecording());
+      console.log('Disconnected, recording written to ' + options.record);
+    });
+  });
+
+  server.listen(options.port, function() {
+    console.log('Emulated PancakeBot listening on port ' + options.port);
+    if (options.pty) {
+      linkPty(options);
+      console.log('Pseudo-terminal linked at ' + options.pty);
+    }
+  });
+}
+
+main();
@@ -0,0 +1,191 @@
+/**
+ * @file This file contains the firmware dialect profiles for GCODE rendering.
+ * Each profile defines the command table used by the renderer's gc() function,
+ * and the header, footer, shade change and bottle refill sequences built from
+ * it. Shared by the GCODE renderer and the simulator so both speak the same
+ * dialect.
+ *
+ * Every dialect must pause with G4 P in milliseconds and move at the last set
+ * feed rate, as the parser, estimator and emulator expect. GRBL does neither
+ * (G4 P is in seconds and G0 always moves at full speed), so isn't supported.
+ **/
+"use strict";
+var _ = require('underscore');
+
+module.exports = {
+  defaultProfile: 'pancakebot',
+
+  profiles: {
+    // Stock PancakeBot firmware.
+    pancakebot: {
+      cmds: {
+        units: 'G21 ;Set units to MM',
+        abs: 'G90 ;Use Absolute units',
+        home: ['G00 X1 Y1 ;Help homing', 'G28 X0 Y0 ;Home All Axis'],
+        move: 'G00 X%x Y%y',
+        arccw: 'G2 X%x Y%y I%i J%j',
+        arcccw: 'G3 X%x Y%y I%i J%j',
+        speed: 'G1 F%% ;Set Speed',
+        pumpon: 'M106 ;Pump on',
+        pumpoff: 'M107 ;Pump off',
+        change: 'M142 ;Bottle change', // TODO: This code is currently unknown!
+        note: ';%%',
+        wait: 'G4 P%% ;Pause for %% milliseconds',
+        workspace: 'W1 X%x Y%y L%l T%t ;Define Workspace of this file',
+        lines: 'M110 N%% ;Set line number',
+        off: 'M84 ;Motors off'
+      },
+
+      header: function(gc, config, settingsNotes) {
+        return [
+          settingsNotes,
+          gc('workspace', config.printArea),
+          gc('units'),
+          gc('speed', config.botSpeed),
+          gc('pumpoff'),
+          gc('wait', 1000),
+          gc('off'),
+          gc('home'),
+        ].join('');
+      },
+
+      footer: function(gc) {
+        return [
+          gc('wait', 1000),
+          gc('home'),
+          gc('off'),
+        ].join('');
+      },
+
+      colorChange: function(gc, config) {
+        return [
+          gc('wait', 1000),
+          gc('home'),
+          gc('off'),
+          gc('change'),
+          gc('wait', config.shadeChangeWait * 1000),
+        ].join('');
+      },
+
+      refill: function(gc, config) {
+        return [
+          gc('wait', 1000),
+          gc('home'),
+          gc('off'),
+          gc('wait', config.shadeChangeWait * 1000),
+        ].join('');
+      }
+    },
+
+    // Marlin based conversions, with the pump driven from the fan output.
+    // G0 moves use the last G1 feed rate and G4 P waits are in milliseconds.
+    marlin: {
+      cmds: {
+        units: 'G21 ;Set units to MM',
+        abs: 'G90 ;Use Absolute units',
+        home: 'G28 X Y ;Home X & Y Axis',
+        move: 'G0 X%x Y%y',
+        arccw: 'G2 X%x Y%y I%i J%j',
+        arcccw: 'G3 X%x Y%y I%i J%j',
+        speed: 'G1 F%% ;Set Speed',
+        pumpon: 'M106 S255 ;Pump on',
+        pumpoff: 'M107 ;Pump off',
+        change: 'M117 Change shade bottle ;Bottle change message',
+        note: ';%%',
+        wait: 'G4 P%% ;Pause for %% milliseconds',
+        workspace: 'M211 S1 ;Software endstops on, stay within the bed',
+        lines: 'M110 N%% ;Set line number',
+        off: 'M84 ;Motors off'
+      },
+
+      header: function(gc, config, settingsNotes) {
+        return [
+          settingsNotes,
+          gc('workspace', config.printArea),
+          gc('units'),
+          gc('abs'),
+          gc('pumpoff'),
+          gc('home'),
+          gc('speed', config.botSpeed),
+        ].join('');
+      },
+
+      footer: function(gc) {
+        return [
+          gc('pumpoff'),
+          gc('wait', 1000),
+          gc('home'),
+          gc('off'),
+        ].join('');
+      },
+
+      colorChange: function(gc, config) {
+        return [
+          gc('pumpoff'),
+          gc('wait', 1000),
+          gc('home'),
+          gc('off'),
+          gc('change'),
+          gc('wait', config.shadeChangeWait * 1000),
+        ].join('');
+      },
+
+      refill: function(gc, config) {
+        return [
+          gc('pumpoff'),
+          gc('wait', 1000),
+          gc('home'),
+          gc('off'),
+          gc('wait', config.shadeChangeWait * 1000),
+        ].join('');
+      }
+    }
+  },
+
+  /**
+   * Get a dialect profile by its ID.
+   * @param  {String} id
+   *   ID of the profile, falls back to the default profile if not found.
+   * @return {Object}
+   *   The dialect profile object.
+   */
+  get: function(id) {
+    return this.profiles[id] || this.profiles[this.defaultProfile];
+  },
+
+  /**
+   * Normalize a GCODE command word for comparison, EG "G00" to "G0".
+   * @param  {String} word
+   *   Command word, the first space separated part of a GCODE line.
+   * @return {String}
+   *   Uppercase normalized command word.
+   */
+  normalizeWord: function(word) {
+    word = word.toUpperCase();
+    var num = parseFloat(word.substr(1));
+    return isNaN(num) ? word : word[0] + num;
+  },
+
+  /**
+   * Build a lookup of command word to command name for parsing GCODE.
+   * @param  {String} id
+   *   ID of the profile to build the lookup for.
+   * @return {Object}
+   *   Keyed by normalized command word, EG "G0", with the gc() command name as
+   *   the value, EG "move". Command groups are identified by their last line,
+   *   and the first command to use a word wins.
+   */
+  getCodeActions: function(id) {
+    var t = this;
+    var actions = {};
+    _.each(this.get(id).cmds, function(cmd, name) {
+      var line = _.isArray(cmd) ? _.last(cmd) : cmd;
+      var word = line.split(';')[0].trim().split(' ')[0];
+      if (word) {
+        word = t.normalizeWord(word);
+        if (!actions[word]) actions[word] = name;
+      }
+    });
+    return actions;
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * @file This file contains the PancakeBot firmware emulator, for testing direct
+ * printing without a physical bot. It accepts the GCODE commands of a dialect,
+ * replies "ok" to each once the bot would have finished it, and records what
+ * the head and pump did as GCODE the simulator can draw.
+ **/
+"use strict";
+var dialects = require('./gcode.dialects');
+var parser = require('./gcode.parser');
+var settings = require('./settings');
+
+/**
+ * Create an emulated bot.
+ * @param  {Object} options
+ *   Emulator options, with keys "dialect" (profile ID to accept commands for),
+ *   "timeScale" (how many times faster than real time to run, defaults to 1)
+ *   and "errorRate" (chance from 0 to 1 of each numbered line being received
+ *   corrupted, to test resends).
+ * @return {Object}
+ *   The emulator object.
+ */
+module.exports = function(options) {
+  options = options || {};
+  var dialectID = options.dialect || dialects.defaultProfile;
+  var codeActions = dialects.getCodeActions(dialectID);
+  var timeScale = options.timeScale || 1;
+  var errorRate = options.errorRate || 0;
+
+  var recording = [
+    ';PancakeBot emulator recording @ ' + new Date().toString(),
+    ';dialect: ' + dialectID
+  ];
+
+  var emulator = {
+    /**
+     * Current bot state.
+     *   pos: Head position in bot coordinates.
+     *   feedRate: Current feed rate in MM per minute.
+     *   pumping: Whether the pump is on.
+     *   elapsed: Bot time since start, in seconds.
+     *   commands: Number of commands run.
+     *   lastLine: Last line number received, null until numbered lines are.
+     */
+    state: {
+      pos: {x: 0, y: 0},
+      feedRate: settings.constants.botSpeedMax,
+      pumping: false,
+      elapsed: 0,
+      commands: 0,
+      lastLine: null
+    },
+
+    /**
+     * Run a single line of GCODE on the bot.
+     * @param  {String} line
+     *   Single line of GCODE, comments are ignored.
+     * @return {Object}
+     *   Object keyed by "reply" (the line the bot replies with) and "duration"
+     *   (real time seconds the bot takes to run the command).
+     */
+    execute: function(line) {
+      var state = emulator.state;
+      var parsed = parser.parseLine(line);
+      if (!parsed.code) return {reply: 'ok', duration: 0};
+
+      var action = codeActions[dialects.normalizeWord(parsed.code)];
+      var args = parsed.args;
+      var duration = 0;
+
+      // Check numbered lines arrived intact and in order.
+      if (typeof parsed.number !== 'undefined') {
+        var error = getLineError(parsed, action);
+        if (error) {
+          var last = state.lastLine === null ? 0 : state.lastLine;
+          return {
+            reply: [
+              'Error:' + error + ', Last Line: ' + last,
+              'Resend: ' + (last + 1),
+              'ok'
+            ].join("\n"),
+            duration: 0
+          };
+        }
+        state.lastLine = parsed.number;
+      }
+
+      switch (action) {
+        case 'move':
+          duration = moveTo({
+            x: isNaN(args.x) ? state.pos.x : args.x,
+            y: isNaN(args.y) ? state.pos.y : args.y
+          });
+          break;
+        case 'arccw':
+        case 'arcccw':
+          var arc = parser.getArc(state.pos, args, action === 'arccw');
+          duration = moveTo(arc.end, arc.length);
+          break;
+        case 'home':
+          duration = moveTo({x: 0, y: 0});
+          break;
+        case 'speed':
+          if (!isNaN(args.f) && args.f > 0) state.feedRate = args.f;
+          break;
+        case 'wait':
+          if (!isNaN(args.p)) duration = args.p / 1000;
+          break;
+        case 'pumpon':
+          state.pumping = true;
+          break;
+        case 'pumpoff':
+          state.pumping = false;
+          break;
+        case 'lines':
+          state.lastLine = args.n;
+          break;
+        case undefined:
+          // Firmware skips commands it doesn't know, carrying on with the rest.
+          return {
+            reply: 'echo:Unknown command: "' + parsed.code + '"\nok',
+            duration: 0
+          };
+      }
+
+      // Record the command as run, with the bot time it was started at.
+      recording.push(
+        line.split(';')[0].trim() + ' ;t=' + state.elapsed.toFixed(3)
+      );
+      state.elapsed += duration;
+      state.commands++;
+
+      return {reply: 'ok', duration: duration / timeScale};
+    },
+
+    /**
+     * Connect the emulator to a transport, replying to each line received
+     * once the command has been run.
+     * @param  {Object} transport
+     *   Transport to the host, @see gcode.transports.js
+     */
+    attach: function(transport) {
+      var queue = [];
+      var busy = false;
+
+      // Commands are run one at a time, in the order they're received.
+      function runNext() {
+        if (busy || !queue.length) return;
+        busy = true;
+
+        var result = emulator.execute(queue.shift());
+        setTimeout(function() {
+          busy = false;
+          transport.write(result.reply);
+          runNext();
+        }, result.duration * 1000);
+      }
+
+      transport.onLine(function(line) {
+        queue.push(line);
+        runNext();
+      });
+
+      transport.write('start');
+    },
+
+    /**
+     * Get the recording of everything the bot has done.
+     * @return {String}
+     *   GCODE of the commands run, each with a "t=" comment of the bot time in
+     *   seconds it was started at.
+     */
+    getRecording: function() {
+      return recording.join("\n") + "\n";
+    }
+  };
+
+  // Get the reason a numbered line would be rejected by the firmware, if any.
+  function getLineError(parsed, action) {
+    if (!parsed.valid || Math.random() < errorRate) {
+      return 'checksum mismatch';
+    }
+
+    var last = emulator.state.lastLine;
+    if (action !== 'lines' && last !== null && parsed.number !== last + 1) {
+      return 'Line Number is not Last Line Number+1';
+    }
+
+    return null;
+  }
+
+  // Move the head, returning the time it takes in seconds.
+  function moveTo(dest, dist) {
+    var state = emulator.state;
+    if (typeof dist === 'undefined') {
+      dist = Math.sqrt(
+        Math.pow(dest.x - state.pos.x, 2) + Math.pow(dest.y - state.pos.y, 2)
+      );
+    }
+    state.pos = dest;
+    return dist / (state.feedRate / 60);
+  }
+
+  return emulator;
+};
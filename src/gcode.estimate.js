@@ -0,0 +1,218 @@
+/**
+ * @file This file contains the print time and batter usage estimator, run
+ * against rendered GCODE so it accounts for exactly what the bot will be told
+ * to do, including per shade speeds, fill lines and pre-shutoff moves.
+ **/
+"use strict";
+var _ = require('underscore');
+var dialects = require('./gcode.dialects');
+var parser = require('./gcode.parser');
+
+module.exports = {
+  /**
+   * Estimate the print time and batter usage of the given GCODE.
+   *
+   * Travel and pour times are calculated from the straight line distance of
+   * each move at the current feed rate, so bot acceleration isn't accounted
+   * for. Batter volume is the pumped path length times the shade flow rate,
+   * plus the volume pumped while waiting in place, @see getDwellVolume.
+   *
+   * @param  {String} gcode
+   *   Full GCODE text, as rendered by gcode.js.
+   * @param  {Object} options
+   *   Estimate options, with keys "dialect" (profile ID, defaults to the header
+   *   setting if any), "flowRates" (array of batter milliliters per meter
+   *   of pumped line for each shade, lightest first), and "pos" & "feedRate"
+   *   to start from, when estimating GCODE that follows on from other GCODE.
+   * @return {Object}
+   *   Estimate with "shades", an array of totals objects for each shade index
+   *   (lightest first), "setup" totals for anything before the first shade,
+   *   and "total" totals for the whole file. Totals objects are keyed by
+   *   "travelTime", "pourTime", "dwellTime" (all in seconds), "travelLength"
+   *   and "pourLength" (in MM), "volume" (in ML), "paths", "shadeChanges"
+   *   and "refills" (counts), "cookWait" (seconds of cook time waits), and
+   *   "pourStart" and "pourEnd" (seconds from the start of the print of the
+   *   first pump on and last pump off, null if never poured). Also "refills",
+   *   an array of objects keyed "color" and "path" (number of the path drawn
+   *   after the pause) for each bottle refill pause, "tooSmall", an array of
+   *   objects keyed "color", "type" and "path" (number) for each path too
+   *   small to fill or inset, "time", the total print time in seconds, and
+   *   the "pos" & "feedRate" the bot is left at.
+   */
+  estimate: function(gcode, options) {
+    var t = this;
+    var dialect = options.dialect || parser.getHeaderSetting(gcode, 'dialect');
+    var codeActions = dialects.getCodeActions(dialect);
+    var flowRates = options.flowRates || [];
+
+    var out = {
+      shades: _.map(parser.shadeNames, newTotals),
+      setup: newTotals(),
+      total: newTotals(),
+      refills: [],
+      tooSmall: []
+    };
+
+    var pos = options.pos || {x: 0, y: 0}; // Bot always starts at home.
+    var feedRate = options.feedRate || 0; // Current feed rate in MM/minute.
+    var pumping = false;
+    var shade = null; // Current shade index, null until the first is named.
+    var elapsed = 0; // Time since the start of the print, in seconds.
+    var cookWait = false; // Whether the next wait is a cook time wait.
+
+    // Add a value to a key for the current shade and the total.
+    function add(key, value) {
+      var totals = shade === null ? out.setup : out.shades[shade];
+      totals[key] += value;
+      out.total[key] += value;
+    }
+
+    // Set the pour start or end time for the current shade and the total.
+    function setPourTime(key) {
+      var totals = shade === null ? out.setup : out.shades[shade];
+      if (key === 'pourEnd' || totals[key] === null) totals[key] = elapsed;
+      if (key === 'pourEnd' || out.total[key] === null) {
+        out.total[key] = elapsed;
+      }
+    }
+
+    // Move the bot to a given position, adding up the time & distance.
+    // Distance is straight line unless given, as for arcs.
+    function moveTo(dest, dist) {
+      if (typeof dist === 'undefined') {
+        dist = Math.sqrt(
+          Math.pow(dest.x - pos.x, 2) + Math.pow(dest.y - pos.y, 2)
+        );
+      }
+      var time = feedRate ? dist / (feedRate / 60) : 0;
+      elapsed += time;
+
+      if (pumping) {
+        add('pourTime', time);
+        add('pourLength', dist);
+        add('volume', dist / 1000 * (flowRates[shade] || 0));
+      } else {
+        add('travelTime', time);
+        add('travelLength', dist);
+      }
+
+      pos = dest;
+    }
+
+    _.each(gcode.split("\n"), function(line) {
+      var parsed = parser.parseLine(line);
+      var args = parsed.args;
+
+      // Notes from the renderer name the shade for the lines that follow, and
+      // mark where bottle refill pauses were added and paths were too small.
+      if (!parsed.code && parsed.comment) {
+        var noteShade = parser.getNoteShade(parsed.comment);
+        if (noteShade) shade = noteShade.color;
+
+        var notePath = parser.getNotePath(parsed.comment);
+        if (notePath && notePath.tooSmall) {
+          out.tooSmall.push({
+            color: shade,
+            type: notePath.type,
+            path: notePath.number
+          });
+        }
+
+        if (parser.getNoteRefill(parsed.comment) !== null) {
+          add('refills', 1);
+          out.refills.push({color: shade, path: out.total.paths + 1});
+        }
+
+        cookWait = parser.getNoteCookWait(parsed.comment) !== null;
+        return;
+      }
+
+      var action = codeActions[dialects.normalizeWord(parsed.code)];
+      switch (action) {
+        case 'pumpon':
+          pumping = true;
+          add('paths', 1);
+          setPourTime('pourStart');
+          break;
+        case 'pumpoff':
+          if (pumping) setPourTime('pourEnd');
+          pumping = false;
+          break;
+        case 'speed':
+          if (!isNaN(args.f)) feedRate = args.f;
+          break;
+        case 'move':
+          moveTo({
+            x: isNaN(args.x) ? pos.x : args.x,
+            y: isNaN(args.y) ? pos.y : args.y
+          });
+          break;
+        case 'arccw':
+        case 'arcccw':
+          var arc = parser.getArc(pos, args, action === 'arccw');
+          moveTo(arc.end, arc.length);
+          break;
+        case 'wait':
+          if (!isNaN(args.p)) {
+            add('dwellTime', args.p / 1000);
+            if (pumping) {
+              add('volume', t.getDwellVolume(
+                args.p, feedRate, flowRates[shade] || 0
+              ));
+            }
+            if (cookWait) add('cookWait', args.p / 1000);
+            elapsed += args.p / 1000;
+          }
+          cookWait = false;
+          break;
+        case 'change':
+          add('shadeChanges', 1);
+          break;
+        case 'home':
+          moveTo({x: 0, y: 0});
+          break;
+      }
+    });
+
+    out.time = elapsed;
+    out.pos = pos;
+    out.feedRate = feedRate;
+    return out;
+  },
+
+  /**
+   * Get the batter volume pumped while waiting in place with the pump on, as
+   * for dots. The pump runs at the same rate whether the bot moves or not, so
+   * this is as much as a line drawn at the feed rate for the same time.
+   *
+   * @param  {Number} time
+   *   Time waited in milliseconds.
+   * @param  {Number} feedRate
+   *   Feed rate in MM per minute.
+   * @param  {Number} flowRate
+   *   Batter milliliters per meter of pumped line for the shade.
+   * @return {Number}
+   *   Batter volume in ML.
+   */
+  getDwellVolume: function(time, feedRate, flowRate) {
+    return time / 1000 * feedRate / 60 / 1000 * flowRate;
+  }
+};
+
+// Create a new empty totals object.
+function newTotals() {
+  return {
+    travelTime: 0,
+    pourTime: 0,
+    dwellTime: 0,
+    travelLength: 0,
+    pourLength: 0,
+    volume: 0,
+    paths: 0,
+    shadeChanges: 0,
+    refills: 0,
+    cookWait: 0,
+    pourStart: null,
+    pourEnd: null
+  };
+}
@@ -4,46 +4,83 @@
  **/
 "use strict";
 /*globals _, paper, app */
+var crypto = require('crypto');
 var ClipperLib = require('./libs/clipper');
 var jscut = require('./libs/jscut_custom')(ClipperLib);
+var dialects = require('./gcode.dialects');
+var parser = require('./gcode.parser');
+var route = require('./gcode.route');
+var estimator = require('./gcode.estimate');
+var settings = require('./settings');
 
 module.exports = function() {
   // Module level scope for config data passed when code generated
   var config = {};
 
+  // Path offset helpers, @see helpers/helper.utils.js
+  var utils = require('./helpers/helper.utils')(paper);
+
   /**
    * Create gcode from a given layer
    * @param  {Paper.Layer} sourceLayer
    *   Layer to clone and greate GCODE from.
    * @param  {Object} settings
    *   Configuration/settings for the GCODE render.
+   * @param  {String} sourceHash
+   *   Optional source hash to write to the header, defaults to the hash of the
+   *   sourceLayer, @see getLayerHash
    * @return {string}
    *   PancakeBot standard format GCODE generated from the paths on the layer.
    */
-  var returnRenderer = function generateGcode(sourceLayer, settings) {
+  var returnRenderer = function generateGcode(sourceLayer, settings,
+                                              sourceHash) {
     if (settings) config = settings;
 
     var workLayer = sourceLayer.clone();
-    var out = getCodeHeader();
+    var out = getCodeHeader(sourceHash || getLayerHash(sourceLayer));
     workLayer.activate();
 
+    // Every path made from a source item keeps the ID of that item in its
+    // data, to note which item each path came from.
+    _.each(workLayer.children, function(item) {
+      if (item.data.id) item.data.source = item.data.id;
+    });
+
+    // Reduce dots to the single point they're poured at.
+    convertAllDots(workLayer);
+
     // Empty Path Cleanup.
     cleanAllPaths(workLayer);
 
-    // Convert all fill paths in the work layer into fills.
+    // Inset paths to account for the batter spreading out once poured.
+    if (config.spreadCompensation) compensateAllSpread(workLayer);
+
+    // Convert all fill paths in the work layer into fills, except those too
+    // small to be inset, which stay as outlines.
     // Must use a fillList because removing paths changes the children list
     var fillList = [];
     _.each(workLayer.children, function(path){
-      if (path.data.fill === true) {
+      if (path.data.fill === true && !path.data.toosmall) {
         fillList.push(path);
       }
     });
 
+    // Cut fills down to the printable area while they're still closed regions,
+    // so the fill paths are made to follow the edge instead of crossing it.
+    if (config.clipToBounds) {
+      fillList = clipAllFills(fillList, config.sourceBounds);
+    }
+
     _.each(fillList, function(path){
-      if (config.useLineFill) {
-        paper.fillTracePath(path, config);
-      } else {
-        shapeFillPath(path, config);
+      switch (config.fillStrategy) {
+        case 'line':
+          fillTracePath(path, config);
+          break;
+        case 'spiral':
+          spiralFillPath(path, config);
+          break;
+        default:
+          shapeFillPath(path, config);
       }
     });
 
@@ -55,31 +92,70 @@ module.exports = function() {
     // Clean up remaining drawn closed paths to be easier to manage
     convertAllClosedPaths(workLayer);
 
+    // Cut off anything outside the printable area, if requested.
+    if (config.clipToBounds) clipAllPaths(workLayer, config.sourceBounds);
+
     // Travel sort the work layer to get everything in the right order.
     travelSortLayer(workLayer);
 
     var numPaths = workLayer.children.length;
 
-    // Move through each path on the worklayer, and group them in reverse order
-    // by color shade, 0-3, darker first (indicated in the path data.color).
+    // Move through each path on the worklayer, now in pour order, and group
+    // each run of the same color shade (indicated in the path data.color).
     _.each(workLayer.children, function(path){
-      var revIndex = 3 - path.data.color;
-
-      if (!colorGroups[revIndex]) colorGroups[revIndex] = [];
-      colorGroups[revIndex].push(path);
+      var group = _.last(colorGroups);
+      if (!group || group[0].data.color !== path.data.color) {
+        group = [];
+        colorGroups.push(group);
+      }
+      group.push(path);
     });
 
     // Move through each color
     var pathCount = 0;
     var lastColor = "";
+    var lastSpeed = config.botSpeed; // Speed set by the header.
+    var pourEnds = []; // Time each shade finished pouring, keyed by shade.
+    var bottleUsed = []; // Batter used from each shade's bottle, by shade.
+    var timer = {length: 0, time: 0}; // GCODE timed so far, @see getCodeTime
     _.each(colorGroups, function(group, groupIndex){
+
+      // Wait for the darker shades already poured to get their extra cook time.
+      if (config.useCookTime) {
+        out += getCodeCookWait(
+          group[0].data.color, pourEnds, getCodeTime(out, timer)
+        );
+      }
+
       // Move through each path in the given color group
       _.each(group, function(path){
-        // Color specific speed change, before path draw.
-        if (config.useColorSpeed && lastColor !== path.data.color) {
-          out += gc('note', 'Shade specific speed change:');
-          out += gc('speed', config.botColorSpeed[path.data.color]);
+        // Pause for a bottle refill if this path would run the bottle dry.
+        if (config.useRefill) {
+          var color = path.data.color;
+          var used = bottleUsed[color] || 0;
+          var usage = getPathUsage(path);
+          if (used > 0 && used + usage > config.bottleCapacity[color]) {
+            out += getCodeRefill(color);
+            used = 0;
+          }
+          bottleUsed[color] = used + usage;
+        }
+
+        // Color or path specific speed change, before path draw. Paths after
+        // a path specific speed change back to the speed they'd be drawn at.
+        var speed = getPathFeedRate(path);
+        var colorChange = config.useColorSpeed && lastColor !== path.data.color;
+        if (colorChange || speed !== lastSpeed) {
+          if (typeof getOverride(path, 'speed') !== 'undefined') {
+            out += gc('note', 'Path specific speed change:');
+          } else if (config.useColorSpeed) {
+            out += gc('note', 'Shade specific speed change:');
+          } else {
+            out += gc('note', 'Returning to set speed:');
+          }
+          out += gc('speed', speed);
           lastColor = path.data.color;
+          lastSpeed = speed;
         }
 
         if (!path.segments) {
@@ -91,11 +167,12 @@ module.exports = function() {
         out += [
           gc(
             'note',
-            'Starting ' + (path.data.fill ? 'fill' : 'stroke') + ' path #' +
+            'Starting ' + getPathType(path) + ' path #' +
             pathCount + '/' + numPaths + ', segments: ' + path.segments.length +
             ', length: ' + Math.round(path.length) + ', color #' +
             (path.data.color + 1) +
-            (path.data.toosmall ? ', too small to fill, outline only' : '')
+            getSourceNote(path) +
+            getTooSmallNote(path)
           ),
           renderPath(path),
           gc(
@@ -105,6 +182,10 @@ module.exports = function() {
         ].join('');
       });
 
+      if (config.useCookTime) {
+        pourEnds[group[0].data.color] = getCodeTime(out, timer);
+      }
+
       // Trigger color change if we had paths previously, and the next color
       // group has paths to be rendered.
       if (colorGroups[groupIndex+1] && pathCount !== 0) {
@@ -114,30 +195,157 @@ module.exports = function() {
 
     out += getCodeFooter();
 
+    // Number every command for the firmware to check, once all are in place.
+    if (config.useLineNumbers) out = numberLines(out);
+
     workLayer.remove();
     return out;
   };
 
+  /**
+   * Create separate complete GCODE files from a given layer, one for each
+   * shade or each connected cluster of paths (separate pancakes).
+   * @param  {Paper.Layer} sourceLayer
+   *   Layer to split and create GCODE from.
+   * @param  {Object} settings
+   *   Configuration/settings for the GCODE render, with "splitExport" set to
+   *   "shade" or "pancake".
+   * @return {Array}
+   *   Array of objects in print order, keyed by "name" (file name suffix, EG
+   *   "shade4" or "pancake2") and "gcode" (full GCODE with header & footer).
+   */
+  returnRenderer.split = function(sourceLayer, settings) {
+    if (settings) config = settings;
+
+    // Every part records the source they were split from.
+    var sourceHash = getLayerHash(sourceLayer);
+
+    var parts;
+    if (config.splitExport === 'pancake') {
+      parts = getClusterParts(sourceLayer.children);
+    } else {
+      parts = getShadeParts(sourceLayer.children);
+    }
+
+    return _.map(parts, function(part) {
+      // Clones are moved out of the source layer into a temporary one.
+      var partLayer = new paper.Layer(_.invoke(part.items, 'clone'));
+      partLayer.visible = false;
+
+      var gcode = returnRenderer(partLayer, config, sourceHash);
+      partLayer.remove();
+
+      return {name: part.name, gcode: gcode};
+    });
+  };
+
+  // Group items by shade, in the order each shade is first poured.
+  function getShadeParts(items) {
+    var shades = _.groupBy(items, function(item) { return item.data.color; });
+    var order = _.uniq(_.map(getPourOrder(), function(name) {
+      return name.split('-')[0].substr(5);
+    }));
+
+    return _.map(_.intersection(order, _.keys(shades)), function(color) {
+      return {name: 'shade' + (parseInt(color, 10) + 1), items: shades[color]};
+    });
+  }
+
+  // Group items into clusters of overlapping items, ordered left to right.
+  function getClusterParts(items) {
+    var bounds = _.map(items, function(item) { return item.strokeBounds; });
+
+    // Union find the cluster of each item by any overlap of their bounds.
+    var parents = _.range(items.length);
+    function find(i) {
+      while (parents[i] !== i) i = parents[i] = parents[parents[i]];
+      return i;
+    }
+
+    for (var a = 0; a < items.length; a++) {
+      for (var b = a + 1; b < items.length; b++) {
+        if (bounds[a].intersects(bounds[b])) parents[find(a)] = find(b);
+      }
+    }
+
+    var clusters = _.values(_.groupBy(_.range(items.length), find));
+    clusters = _.sortBy(clusters, function(cluster) {
+      return _.min(_.map(cluster, function(i) { return bounds[i].left; }));
+    });
+
+    return _.map(clusters, function(cluster, index) {
+      return {
+        name: 'pancake' + (index + 1),
+        items: _.map(cluster, function(i) { return items[i]; })
+      };
+    });
+  }
+
+  // Get the path start note suffix naming the source item the path came from.
+  function getSourceNote(path) {
+    if (typeof path.data.source === 'undefined') return '';
+    return ', source item #' + path.data.source;
+  }
+
+  // Get the path start note suffix for paths too small to fill or inset.
+  function getTooSmallNote(path) {
+    if (!path.data.toosmall) return '';
+    return path.data.fill ?
+      ', too small to fill, outline only' : ', too small to inset, as drawn';
+  }
+
+  // Get the type of a path as named in the path start notes.
+  function getPathType(path) {
+    if (path.data.dot) return 'dot';
+    return path.data.fill ? 'fill' : 'stroke';
+  }
+
   // Render the given path into GCODE
   function renderPath(path) {
+    // Dots are poured in place, for as long as it takes to cover their size.
+    if (path.data.dot) {
+      return [
+        gc('move', reMap(path.firstSegment.point)),
+        gc('pumpon'),
+        gc('wait', path.data.dwell),
+        gc('pumpoff')
+      ].join('');
+    }
+
+    var useArcs = config.useArcs && !path.data.isPolygonal;
+    var arcTolerance = config.arcTolerance / getMMPerPx();
+
     if (!path.data.isPolygonal) {
-      path.flatten(config.flattenResolution);
+      // Arcs are fit to the flattened points, so they need to be on the curve.
+      path.flatten(useArcs ?
+        Math.min(config.flattenResolution, arcTolerance) :
+        config.flattenResolution
+      );
     }
 
     var pumpOff = false;
     var out = '';
+    var timing = getPathTiming(path);
+
+    // Fit arcs to the flattened curve points if enabled. Polygonal paths are
+    // intentionally straight lines, so they're left alone.
+    var arcs = {ends: {}, inside: {}};
+    if (useArcs) {
+      arcs = fitArcs(path, arcTolerance);
+    }
 
     // Create an artificial move to the exact point where the pump should turn
     // off, before the next move occurs to ensure correct drip timing.
     var shutdownOffset = Math.max(
       0,
-      Math.min(path.length, path.length - config.lineEndPreShutoff)
+      Math.min(path.length, path.length - timing.shutoff)
     );
+    var shutdownPoint = path.getPointAt(shutdownOffset);
     var gcPreShutoff = [];
     if (shutdownOffset > 0) {
       gcPreShutoff = [
         gc('note', 'Nearing path end, moving to preshutoff position'),
-        gc('move', reMap(path.getPointAt(shutdownOffset))),
+        gc('move', reMap(shutdownPoint)),
         gc('pumpoff')
       ].join('');
     }
@@ -145,28 +353,48 @@ module.exports = function() {
     // Render segment points to Gcode movements
     _.each(path.segments, function(segment, index){
       if (!segment || !segment.location) return;
+      if (arcs.inside[index]) return; // Drawn as part of an arc.
       var segOffset = segment.location.offset;
+      var arc = arcs.ends[index];
 
       // If we're on anything but the first segment before we've moved, but this
       // segment offset is beyond the shutdown offset make sure to insert it.
       if (index > 0) {
         if (segOffset > shutdownOffset && !pumpOff) {
           pumpOff = true;
-          out+= gcPreShutoff;
+
+          if (arc) {
+            // Shutoff falls mid arc, split the arc at the shutoff point.
+            var arcShutdownPoint = arc.center.add(
+              shutdownPoint.subtract(arc.center).normalize(arc.radius)
+            );
+            out+= [
+              gc('note', 'Nearing path end, moving to preshutoff position'),
+              gcArc(arc.from, arcShutdownPoint, arc.center),
+              gc('pumpoff')
+            ].join('');
+            arc.from = arcShutdownPoint;
+          } else {
+            out+= gcPreShutoff;
+          }
         }
       }
 
       // Move to this path segments point.
-      out+= gc('move', reMap(segment.point));
+      if (arc) {
+        out+= gcArc(arc.from, segment.point, arc.center);
+      } else {
+        out+= gc('move', reMap(segment.point));
+      }
 
       if (index === 0) { // First path segment
         // After we've moved to the point, start the pump/wait for it to warm up
-        out+= [gc('pumpon'), gc('wait', config.startWait), ''].join('');
+        out+= [gc('pumpon'), gc('wait', timing.startWait), ''].join('');
 
         // AFTER a first segment move/pump on, if the total path length is less
         // than our shutoff distance, we need to shutoff early. shutdownOffset
         // will be 0 here, but the logic below makes a little more sense.
-        if (path.length <= config.lineEndPreShutoff && !pumpOff) {
+        if (path.length <= timing.shutoff && !pumpOff) {
           pumpOff = true;
           out+=[
             gc('note', 'Very short path, early shutoff without move'),
@@ -175,41 +403,235 @@ module.exports = function() {
         }
       } else if (index === path.segments.length-1) { // Last path segment
         // Last segment/movement, dwell on the last point
-        out+= gc('wait', config.endWait);
+        out+= gc('wait', timing.endWait);
       }
     });
     return out;
   }
 
+  // Largest angle a single fitted arc may sweep, kept under a half circle so
+  // the arc direction is never ambiguous.
+  var maxArcSweep = Math.PI * 0.9;
+
+  /**
+   * Find runs of flattened path segment points that can be drawn as arcs.
+   *
+   * @param  {Path} path
+   *   Flattened path to fit arcs to.
+   * @param  {Number} tolerance
+   *   Maximum distance in source pixels the arc may stray from the flattened
+   *   path.
+   * @return {Object}
+   *   Object with "ends", keyed by the segment index each arc ends at with
+   *   objects keyed "from" (start point), "center" and "radius", and "inside",
+   *   keyed by the segment indexes passed through by an arc.
+   */
+  function fitArcs(path, tolerance) {
+    var points = _.pluck(path.segments, 'point');
+    var arcs = {ends: {}, inside: {}};
+
+    var i = 0;
+    while (i < points.length - 2) {
+      // Extend the arc over as many points as will fit.
+      var best = null;
+      for (var j = i + 2; j < points.length; j++) {
+        var circle = getArcCircle(points, i, j, tolerance);
+        if (!circle) break;
+        best = {end: j, circle: circle};
+      }
+
+      // Nearly straight runs stay as lines, as they would gain nothing.
+      if (best && getSagitta(points[i], points[best.end], best.circle.radius) >
+          tolerance) {
+        arcs.ends[best.end] = {
+          from: points[i],
+          center: best.circle.center,
+          radius: best.circle.radius
+        };
+        for (var k = i + 1; k < best.end; k++) {
+          arcs.inside[k] = true;
+        }
+        i = best.end;
+      } else {
+        i++;
+      }
+    }
+
+    return arcs;
+  }
+
+  /**
+   * Get the circle through a run of points, if they all fit it in order.
+   *
+   * @param  {Array} points
+   *   Array of points to check.
+   * @param  {Number} start
+   *   Index of the first point in the run.
+   * @param  {Number} end
+   *   Index of the last point in the run.
+   * @param  {Number} tolerance
+   *   Maximum distance any point or line between them may be from the circle.
+   * @return {Object}
+   *   Circle object keyed by "center" and "radius", or null if the run doesn't
+   *   fit a single arc.
+   */
+  function getArcCircle(points, start, end, tolerance) {
+    var a = points[start];
+    var b = points[Math.floor((start + end) / 2)];
+    var c = points[end];
+
+    // Circumcenter of the first, middle and last points.
+    var d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-9) return null; // Straight line.
+
+    var aa = a.x * a.x + a.y * a.y;
+    var bb = b.x * b.x + b.y * b.y;
+    var cc = c.x * c.x + c.y * c.y;
+    var center = new paper.Point(
+      (aa * (b.y - c.y) + bb * (c.y - a.y) + cc * (a.y - b.y)) / d,
+      (aa * (c.x - b.x) + bb * (a.x - c.x) + cc * (b.x - a.x)) / d
+    );
+    var radius = center.getDistance(a);
+
+    // Every point and line midpoint must be within tolerance of the circle,
+    // and all turning the same way for less than the max sweep.
+    var sweep = 0;
+    for (var i = start; i <= end; i++) {
+      if (Math.abs(center.getDistance(points[i]) - radius) > tolerance) {
+        return null;
+      }
+
+      if (i < end) {
+        var mid = points[i].add(points[i + 1]).divide(2);
+        if (Math.abs(center.getDistance(mid) - radius) > tolerance) {
+          return null;
+        }
+
+        var angle = points[i].subtract(center).getDirectedAngle(
+          points[i + 1].subtract(center)
+        );
+        if (sweep !== 0 && (angle > 0) !== (sweep > 0)) return null;
+        sweep += angle;
+      }
+    }
+
+    if (Math.abs(sweep) * Math.PI / 180 > maxArcSweep) return null;
+
+    return {center: center, radius: radius};
+  }
+
+  // Get the height of the arc of a given radius between two points.
+  function getSagitta(a, b, radius) {
+    var half = a.getDistance(b) / 2;
+    return radius - Math.sqrt(Math.max(0, radius * radius - half * half));
+  }
+
+  /**
+   * Render an arc move between two points around a center point.
+   *
+   * @param  {Point} from
+   *   Point the arc starts at, where the bot currently is.
+   * @param  {Point} to
+   *   Point the arc ends at.
+   * @param  {Point} center
+   *   Center point of the arc, the shortest way around is always used.
+   * @return {string}
+   *   GCODE for the clockwise or counter-clockwise arc move.
+   */
+  function gcArc(from, to, center) {
+    var s = reMap(from);
+    var c = reMap(center);
+
+    // Direction is found in bot coordinates, as mirroring reverses it.
+    var mid = from.add(to).divide(2);
+    var m = reMap(center.add(mid.subtract(center).normalize(
+      center.getDistance(from)
+    )));
+    var cross = (s.x - c.x) * (m.y - c.y) - (s.y - c.y) * (m.x - c.x);
+
+    var e = reMap(to);
+    return gc(cross > 0 ? 'arcccw' : 'arccw', {
+      x: e.x,
+      y: e.y,
+      i: Math.round((c.x - s.x) * 1000) / 1000,
+      j: Math.round((c.y - s.y) * 1000) / 1000
+    });
+  }
+
+  /**
+   * Get a hash of the drawing on a layer, to tell which version of a project
+   * file the GCODE was generated from.
+   * @param  {Paper.Layer} layer
+   * @return {String}
+   *   Hex SHA-1 hash of the layer's children as Paper.js JSON, the same for the
+   *   same drawing however the layer itself was loaded.
+   */
+  function getLayerHash(layer) {
+    var json = _.invoke(layer.children, 'exportJSON').join("\n");
+    return crypto.createHash('sha1').update(json).digest('hex');
+  }
+
   // Generate Gcode Header
-  function getCodeHeader() {
-    return [
-      gc('note', 'PancakePainter v' + config.version + ' GCODE header start'),
-      gc('note', 'Originally generated @ ' + new Date().toString()),
+  function getCodeHeader(sourceHash) {
+    // Reproducible output leaves out the time, so only changes make a diff.
+    var generated = config.reproducible ? [] : [
+      gc('note', 'Originally generated @ ' + new Date().toString())
+    ];
+
+    var settingsNotes = [
+      gc('note', 'PancakePainter v' + config.version + ' GCODE header start')
+    ].concat(generated, [
+      gc('note', 'Source drawing hash: ' + sourceHash),
       gc('note', 'Settings used to generate this file:'),
       gc('note', '----------------------------------------'),
+      gc('note', 'dialect: ' + getDialectID()),
+      gc('note', 'noMirror: ' + (config.noMirror ? 'true' : 'false')),
       gc('note', 'botSpeed: ' + config.botSpeed),
       gc('note', 'flattenResolution: ' + config.flattenResolution),
+      gc('note', 'useArcs: ' + (config.useArcs ? 'true' : 'false')),
+      gc('note', 'arcTolerance: ' + config.arcTolerance),
       gc('note', 'lineEndPreShutoff: ' + config.lineEndPreShutoff),
       gc('note', 'startWait: ' + config.startWait),
       gc('note', 'endWait: ' + config.endWait),
+      gc('note', 'useShutoffTime: ' +
+        (config.useShutoffTime ? 'true' : 'false')),
+      gc('note', 'shutoffTime: ' + config.shutoffTime),
+      gc('note', 'useShadeTiming: ' +
+        (config.useShadeTiming ? 'true' : 'false')),
+      gc('note', 'shadeStartWait: ' + config.shadeStartWait.join(',')),
+      gc('note', 'shadeEndWait: ' + config.shadeEndWait.join(',')),
+      gc('note', 'shadeShutoffTime: ' + config.shadeShutoffTime.join(',')),
       gc('note', 'shadeChangeWait: ' + config.shadeChangeWait),
-      gc('note', 'useLineFill: ' + (config.useLineFill ? 'true' : 'false')),
+      gc('note', 'fillStrategy: ' + config.fillStrategy),
       gc('note', 'useShortest: ' + (config.useShortest ? 'true' : 'false')),
+      gc('note', 'pourOrder: ' + getPourOrder().join(',')),
+      gc('note', 'clipToBounds: ' + (config.clipToBounds ? 'true' : 'false')),
+      gc('note', 'splitExport: ' + (config.splitExport || 'none')),
       gc('note', 'shapeFillWidth: ' + config.shapeFillWidth),
+      gc('note', 'spreadCompensation: ' + (config.spreadCompensation || 0)),
+      gc('note', 'spreadOutlines: ' +
+        (config.spreadOutlines ? 'true' : 'false')),
       gc('note', 'fillSpacing: ' + config.fillSpacing),
       gc('note', 'fillAngle: ' + config.fillAngle),
       gc('note', 'fillGroupThreshold: ' + config.fillGroupThreshold),
       gc('note', 'useColorSpeed: ' + config.useColorSpeed),
       gc('note', 'botColorSpeed: ' + config.botColorSpeed.join(',')),
+      gc('note', 'useRefill: ' + (config.useRefill ? 'true' : 'false')),
+      gc('note', 'bottleCapacity: ' + config.bottleCapacity.join(',')),
+      gc('note', 'flowRates: ' + config.flowRates.join(',')),
+      gc('note', 'useCookTime: ' + (config.useCookTime ? 'true' : 'false')),
+      gc('note', 'cookTime: ' + config.cookTime.join(',')),
+      gc('note', 'useLineNumbers: ' +
+        (config.useLineNumbers ? 'true' : 'false')),
+      gc('note', 'reproducible: ' + (config.reproducible ? 'true' : 'false')),
       gc('note', '----------------------------------------'),
-      gc('workspace', config.printArea),
-      gc('units'),
-      gc('speed', config.botSpeed),
-      gc('pumpoff'),
-      gc('wait', 1000),
-      gc('off'),
-      gc('home'),
+    ]).join('');
+
+    // Reset the firmware line number before the first numbered command.
+    if (config.useLineNumbers) settingsNotes += gc('lines', 0);
+
+    return [
+      getDialect().header(gc, config, settingsNotes),
       gc('note', 'PancakePainter header complete'),
     ].join('');
   }
@@ -218,32 +640,187 @@ module.exports = function() {
   function getCodeFooter() {
     return [
       gc('note', 'PancakePainter Footer Start'),
-      gc('wait', 1000),
-      gc('home'),
-      gc('off'),
+      getDialect().footer(gc, config),
       gc('note', 'PancakePainter Footer Complete'),
     ].join('');
   }
 
   // Generate Color change
   function getCodeColorChange(id) {
-    var shades = ["Light", "Medium", "Medium dark", "Dark"];
+    return [
+      gc('note', 'Switching Color to: ' + parser.shadeNames[id]),
+      getDialect().colorChange(gc, config, id),
+    ].join('');
+  }
+
+  // Generate bottle refill pause
+  function getCodeRefill(id) {
+    return [
+      gc('note', 'Bottle refill pause for: ' + parser.shadeNames[id]),
+      getDialect().refill(gc, config, id),
+    ].join('');
+  }
+
+  /**
+   * Generate the extra wait needed before pouring a shade, so the darker
+   * shades poured before it get their extra cook time.
+   *
+   * @param  {Number} id
+   *   Shade index about to be poured.
+   * @param  {Array} pourEnds
+   *   Print time in seconds each previous shade finished pouring, by shade.
+   * @param  {Number} now
+   *   Print time in seconds of the GCODE rendered so far.
+   * @return {String}
+   *   GCODE for the wait, or empty string if no wait is needed.
+   */
+  function getCodeCookWait(id, pourEnds, now) {
+    var wait = 0;
 
+    _.each(pourEnds, function(end, shade) {
+      if (typeof end === 'undefined') return;
+      var extra = config.cookTime[shade] - config.cookTime[id];
+      wait = Math.max(wait, end + extra - now);
+    });
+
+    if (wait <= 0) return '';
     return [
-      gc('note', 'Switching Color to: ' + shades[id]),
-      gc('wait', 1000),
-      gc('home'),
-      gc('off'),
-      gc('change'),
-      gc('wait', config.shadeChangeWait * 1000),
+      gc('note', 'Cook time wait before: ' + parser.shadeNames[id]),
+      gc('wait', Math.ceil(wait) * 1000),
     ].join('');
   }
 
+  // Get the estimated time in seconds to run the given GCODE, only estimating
+  // what's been added since the timer was last given it, from where the bot
+  // was left.
+  function getCodeTime(gcode, timer) {
+    var est = estimator.estimate(gcode.substr(timer.length), {
+      dialect: getDialectID(),
+      pos: timer.pos,
+      feedRate: timer.feedRate
+    });
+
+    timer.length = gcode.length;
+    timer.time += est.time;
+    timer.pos = est.pos;
+    timer.feedRate = est.feedRate;
+    return timer.time;
+  }
+
+  // Get the approximate batter volume in ML pumped while drawing a path.
+  function getPathUsage(path) {
+    var flowRate = config.flowRates[path.data.color];
+    var feedRate = getPathFeedRate(path);
+
+    // Dots pour as much as a line drawn for the same time.
+    if (path.data.dot) {
+      return estimator.getDwellVolume(path.data.dwell, feedRate, flowRate);
+    }
+
+    // Lines also pour in place while the pump warms up, and while dwelling on
+    // the last point if the pump is never shut off early.
+    var timing = getPathTiming(path);
+    var dwell = timing.startWait + (timing.shutoff > 0 ? 0 : timing.endWait);
+    var pumpLength = Math.max(0, path.length - timing.shutoff);
+
+    return pumpLength * getMMPerPx() / 1000 * flowRate +
+      estimator.getDwellVolume(dwell, feedRate, flowRate);
+  }
+
+  // Get the number of bot MM for each source pixel.
+  function getMMPerPx() {
+    var pa = config.printArea;
+    return Math.abs(pa.l - pa.x) / config.sourceBounds.width;
+  }
+
+  // Get the feed rate in MM per minute a path will be drawn at.
+  function getPathFeedRate(path) {
+    var speed = getOverride(path, 'speed');
+    if (typeof speed !== 'undefined') {
+      return settings.getBotSpeed(speed, settings.constants);
+    }
+
+    return config.useColorSpeed ?
+      config.botColorSpeed[path.data.color] : config.botSpeed;
+  }
+
+  /**
+   * Get a path specific override of a render setting, as set in the editor's
+   * path properties panel.
+   * @param  {Paper.Path} path
+   * @param  {String} key
+   *   Override key, one of "speed" (percentage of the maximum bot speed),
+   *   "startWait", "endWait" (milliseconds) or "preShutoff" (pixels).
+   * @return {Number}
+   *   The override value, or undefined if not overridden.
+   */
+  function getOverride(path, key) {
+    return path.data.overrides ? path.data.overrides[key] : undefined;
+  }
+
+  /**
+   * Get the pump timing for drawing a path, shade specific if enabled, and
+   * path specific where overridden.
+   * @param  {Paper.Path} path
+   * @return {Object}
+   *   Object keyed by "startWait" and "endWait" in milliseconds, and "shutoff",
+   *   the pre-shutoff distance in source pixels. When the shutoff is set as a
+   *   lead time, the distance is however far the path will be drawn in it.
+   */
+  function getPathTiming(path) {
+    var color = path.data.color;
+    var timing = {
+      startWait: config.startWait,
+      endWait: config.endWait,
+      shutoff: config.lineEndPreShutoff
+    };
+    var lead = config.useShutoffTime ? config.shutoffTime : null;
+
+    if (config.useShadeTiming) {
+      timing.startWait = config.shadeStartWait[color];
+      timing.endWait = config.shadeEndWait[color];
+      lead = config.shadeShutoffTime[color];
+    }
+
+    if (lead !== null) {
+      var mmPerSecond = getPathFeedRate(path) / 60;
+      timing.shutoff = lead / 1000 * mmPerSecond / getMMPerPx();
+    }
+
+    _.each({
+      startWait: 'startWait',
+      endWait: 'endWait',
+      shutoff: 'preShutoff'
+    }, function(key, name) {
+      var value = getOverride(path, key);
+      if (typeof value !== 'undefined') timing[name] = value;
+    });
+
+    return timing;
+  }
+
+  // Get the shade & path type groups in the order they're poured, EG
+  // "color3-line", @see settings.js pourGroups
+  function getPourOrder() {
+    return settings.getPourOrder(config.pourOrder);
+  }
+
+  // Get the ID of the firmware dialect profile in use.
+  function getDialectID() {
+    return dialects.profiles[config.dialect] ?
+      config.dialect : dialects.defaultProfile;
+  }
+
+  // Get the firmware dialect profile in use, @see gcode.dialects.js
+  function getDialect() {
+    return dialects.get(config.dialect);
+  }
+
   /**
    * Create a serial command string from a key:value object
    *
    * @param {string} name
-   *   Key in cmds object to find the command string
+   *   Key in the dialect cmds object to find the command string
    * @param {object|string|integer} values
    *   Object containing the keys of placeholders to find in command string,
    *   with value to replace placeholder. If not an object, treated as single
@@ -253,20 +830,7 @@ module.exports = function() {
    *   if error.
    */
   function gc(name, values) {
-    var cmds = {
-      units: 'G21 ;Set units to MM',
-      abs: 'G90 ;Use Absolute units',
-      home: ['G00 X1 Y1 ;Help homing', 'G28 X0 Y0 ;Home All Axis'],
-      move: 'G00 X%x Y%y',
-      speed: 'G1 F%% ;Set Speed',
-      pumpon: 'M106 ;Pump on',
-      pumpoff: 'M107 ;Pump off',
-      change: 'M142 ;Bottle change', // TODO: This code is currently unknown!
-      note: ';%%',
-      wait: 'G4 P%% ;Pause for %% milliseconds',
-      workspace: 'W1 X%x Y%y L%l T%t ;Define Workspace of this file',
-      off: 'M84 ;Motors off'
-    };
+    var cmds = getDialect().cmds;
     if (!name || !cmds[name]) return ''; // Sanity check
     var out = cmds[name];
 
@@ -286,6 +850,22 @@ module.exports = function() {
     return out + "\n";
   }
 
+  // Add line numbers and checksums to every command line of the given GCODE,
+  // counting from the first. Notes are left un-numbered, and any comment on a
+  // command line is kept after the checksum.
+  function numberLines(gcode) {
+    var number = 0;
+    return _.map(gcode.split("\n"), function(line) {
+      var parts = line.split(';');
+      if (!parts[0].trim()) return line;
+
+      var cmd = 'N' + (number++) + ' ' + parts[0].trim();
+      var out = cmd + '*' + parser.getChecksum(cmd);
+      if (parts.length > 1) out += ' ;' + parts.slice(1).join(';');
+      return out;
+    }).join("\n");
+  }
+
   // Convert all closed paths in a layer to open, with a duplicate start
   // segement at the end (must be done after fill conversion is done).
   function convertAllClosedPaths(layer) {
@@ -297,6 +877,21 @@ module.exports = function() {
     });
   }
 
+  // Replace all dots in a layer with a single segment path at their center,
+  // keeping their data (must be done before cleanup).
+  function convertAllDots(layer) {
+    _.each(layer.children.slice(), function(item) {
+      if (!item.data.dot) return;
+
+      var point = new paper.Path({
+        segments: [item.bounds.center],
+        data: _.extend({}, item.data)
+      });
+      point.insertAbove(item);
+      item.remove();
+    });
+  }
+
   // Quick cleanup helper to get rid of unexpected cruft that can break things.
   function cleanAllPaths(layer) {
     // Move through and delete anything useless or out of the ordinary.
@@ -308,6 +903,8 @@ module.exports = function() {
           item.remove();
           return;
         }
+      } else if (item.data.dot) {
+        return; // Single points, with no length.
       } else if (!item.length || item.segments.length < 2) {
         if (config.debug) console.log('length culling', item);
         item.remove();
@@ -317,6 +914,152 @@ module.exports = function() {
     });
   }
 
+  // Inset all fills in a layer by the spread compensation distance, along with
+  // closed outlines if enabled, so the batter spreads out to the drawn edge.
+  // Anything that would vanish is left as drawn and marked too small, so fills
+  // become outlines (must be done before fill conversion).
+  function compensateAllSpread(layer) {
+    var amount = config.spreadCompensation / getMMPerPx();
+
+    _.each(layer.children.slice(), function(item) {
+      if (item.data.dot) return;
+
+      var closed = item.children ? _.every(item.children, 'closed') :
+        item.closed;
+      if (!item.data.fill && !(config.spreadOutlines && closed)) return;
+
+      var inset = utils.offsetPath(
+        item.clone(), -amount, config.flattenResolution
+      );
+      if (inset) {
+        inset.insertAbove(item);
+        item.remove();
+      } else {
+        item.data.toosmall = true;
+      }
+    });
+  }
+
+  // Clip all paths in a layer to the given bounds, splitting paths that leave
+  // and re-enter the bounds into separate paths (must be done after closed
+  // paths have been converted to open).
+  function clipAllPaths(layer, bounds) {
+    var scale = 1000;
+    bounds = new paper.Rectangle(bounds);
+    var clip = [[
+      {X: bounds.left, Y: bounds.top},
+      {X: bounds.right, Y: bounds.top},
+      {X: bounds.right, Y: bounds.bottom},
+      {X: bounds.left, Y: bounds.bottom}
+    ]];
+    ClipperLib.JS.ScaleUpPaths(clip, scale);
+
+    // Must use a copy of the list because paths are added and removed.
+    _.each(layer.children.slice(), function(path) {
+      if (bounds.contains(path.bounds)) return;
+
+      // Dots can't be partly inside, they're either poured or not.
+      if (path.data.dot) {
+        if (!bounds.contains(path.firstSegment.point)) path.remove();
+        return;
+      }
+
+      if (!path.data.isPolygonal) {
+        path.flatten(config.flattenResolution);
+      }
+
+      var subject = [_.map(path.segments, function(segment) {
+        return {X: segment.point.x, Y: segment.point.y};
+      })];
+      ClipperLib.JS.ScaleUpPaths(subject, scale);
+
+      var c = new ClipperLib.Clipper();
+      var tree = new ClipperLib.PolyTree();
+      c.AddPaths(subject, ClipperLib.PolyType.ptSubject, false);
+      c.AddPaths(clip, ClipperLib.PolyType.ptClip, true);
+
+      // Leave the path as is if it can't be clipped, rather than pour pieces.
+      try {
+        executeClipper(c, tree);
+      } catch(e) {
+        if (config.debug) console.log('Unable to clip', path.data, e.message);
+        return;
+      }
+
+      // Add a copy of the path for each piece left inside the bounds.
+      _.each(ClipperLib.Clipper.OpenPathsFromPolyTree(tree), function(piece) {
+        if (piece.length < 2) return;
+
+        var clipped = path.clone();
+        clipped.segments = _.map(piece, function(point) {
+          return [point.X / scale, point.Y / scale];
+        });
+      });
+
+      if (config.debug) console.log('Clipped to bounds', path.data);
+      path.remove();
+    });
+  }
+
+  // Run a Clipper intersection into the given PolyTree. Clipper's own error
+  // handling alerts and carries on with a broken result, so errors are thrown
+  // instead while it runs.
+  function executeClipper(c, tree) {
+    var clipperError = ClipperLib.Error;
+    ClipperLib.Error = function(message) {
+      throw new Error(message);
+    };
+
+    try {
+      var succeeded = c.Execute(
+        ClipperLib.ClipType.ctIntersection,
+        tree,
+        ClipperLib.PolyFillType.pftNonZero,
+        ClipperLib.PolyFillType.pftNonZero
+      );
+      if (!succeeded) throw new Error('Clipping failed');
+    } finally {
+      ClipperLib.Error = clipperError;
+    }
+  }
+
+  /**
+   * Cut closed fill paths down to the part within the bounds, removing any
+   * entirely outside them.
+   *
+   * @param  {Array} fills
+   *   List of fill paths or compound paths to clip.
+   * @param  {Object} bounds
+   *   Rectangle-like object to clip to, in source coordinates.
+   * @return {Array}
+   *   The list of fills to create fill paths from, clipped where needed.
+   */
+  function clipAllFills(fills, bounds) {
+    bounds = new paper.Rectangle(bounds);
+    var rect = new paper.Path.Rectangle({rectangle: bounds, insert: false});
+
+    var clippedFills = [];
+    _.each(fills, function(path) {
+      if (bounds.contains(path.bounds)) {
+        clippedFills.push(path);
+        return;
+      }
+
+      var clipped = path.intersect(rect);
+      clipped.data = _.extend({}, path.data);
+      path.remove();
+
+      if (clipped.isEmpty() || !clipped.area) {
+        clipped.remove();
+      } else {
+        if (config.debug) console.log('Clipped fill to bounds', path.data);
+        clippedFills.push(clipped);
+      }
+    });
+
+    return clippedFills;
+  }
+
   // Convert an input Paper.js coordinate to an output bot mapped coordinate
   function reMap(p) {
     if (!p) {
@@ -348,36 +1091,25 @@ module.exports = function() {
     return (x - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
   }
 
-  // Order a layers children by top left travel path from tip to tail, reversing
-  // path order where needed, grouped by data.color. Only works with paths,
-  // not groups or compound paths as it needs everything on an even playing
-  // field to be reordered.
+  // Order a layers children for the least travel between paths, reversing
+  // path direction where needed, grouped by data.color with lines before fills.
+  // Only works with paths, not groups or compound paths as it needs everything
+  // on an even playing field to be reordered.
   function travelSortLayer(layer) {
     var a = layer;
 
-    if (a.children.count <= 1) return; // This doesn't need to be run
+    if (a.children.length <= 1) return; // This doesn't need to be run
 
-    // 1. Move through all paths, group into colors
+    // 1. Move through all paths, group into colors & types in pour order.
     // 2. Move through each group, convert list of paths into sets of first and
-    //    last segment points, ensure groups are sorted.
-    // 3. Find the point closest to the top left corner. If it's an end, reverse
-    //    the path, make the first point the next one to check, remove the
-    //    points from the group.
-    // 4. Rinse and repeat!
-
-    // Prep the colorGroups, darkest to lightest.
-    var sortedColors = [
-      'color3-line',
-      'color3-fill',
-      'color2-line',
-      'color2-fill',
-      'color1-line',
-      'color1-fill',
-      'color0-line',
-      'color0-fill'
-    ];
+    //    last segment points.
+    // 3. Find the shortest travel route through the group from wherever the
+    //    last group finished, reversing paths that are best drawn backwards.
+    // 4. Insert the paths in route order, and continue from the route end.
+
+    // Prep the colorGroups in pour order, darkest to lightest by default.
     var colorGroups = {};
-    _.each(sortedColors, function(colorName) {
+    _.each(getPourOrder(), function(colorName) {
       colorGroups[colorName] = [];
     });
 
@@ -397,74 +1129,52 @@ module.exports = function() {
       });
     });
 
+    // Time budget for route improvement is shared between all groups, or a
+    // step budget when the output must be the same every time.
+    var deadline = {steps: route.defaultStepLimit};
+    if (!config.reproducible) {
+      deadline = Date.now() + (config.routeTimeLimit || route.defaultTimeLimit);
+    }
+
     // Move through each color group, then each point set for distance
     var drawIndex = 0; // Track the path index to insert paths into on the layer
+    var lastPoint = null; // Where the bot will be after the last path drawn.
+    var lastColor = null;
     _.each(colorGroups, function(group){
-      // Use the shortest distance between paths for order?
-      if (config.useShortest) {
-        while(group.length) {
-          var lastPoint = new paper.Point(0, 0); // Last point, start at corner.
-          var lastPath = null; // The last path worked on, for 0 dist paths.
-
-          var c = closestPointInGroup(lastPoint, group);
-
-          // First segment, or last segment?
-          if (c.closestPointIndex === 0) { // First
-            // Set last point to the end of the path
-            lastPoint = group[c.id].points[1];
-          } else { // last
-            // Reverse the path direction, so its first point is now the last
-            group[c.id].path.reverse();
-
-            // Set last point to the start of the path (now the end)
-            lastPoint = group[c.id].points[0];
-          }
-
-          // If the distance between the lastPoint and the next closest point
-          // is below a usable threshold, and our lastPoint is on a path,
-          // we can make this more efficient by joining the two paths.
-          if (c.dist < 7 && lastPath) {
-            // Combine lastPath with this path (remove the remainder)
-            lastPath.join(group[c.id].path);
-          } else { // Non-zero distance, add as separate path
-            // Insert the path to the next spot in the action layer.
-            a.insertChild(drawIndex, group[c.id].path);
-            lastPath = group[c.id].path;
-          }
+      if (!group.length) return;
 
-          group.splice(c.id, 1); // Remove it from the list of paths
-          drawIndex++;
-        }
+      // The bot is always sent home before the first path of each shade.
+      if (group[0].path.data.color !== lastColor) {
+        lastColor = group[0].path.data.color;
+        lastPoint = getHomePoint();
+      }
 
-      } else {
-        // If not using the shortest, just use the path order as given, with
-        // inherant priorty given to stroke paths over fill paths.
-        group.forEach(function(item){
-          a.insertChild(drawIndex, item.path);
-          drawIndex++;
+      // Use the shortest distance between paths for order? If not, just use
+      // the path order as given within each group.
+      if (config.useShortest) {
+        var ends = _.pluck(group, 'points');
+        var order = route.optimize(ends, lastPoint, deadline);
+        group = _.map(order, function(step) {
+          if (step.reversed) group[step.id].path.reverse();
+          return group[step.id];
         });
       }
-    });
-  }
-
-  // Find the closest point to a given source point from array of point groups.
-  function closestPointInGroup(srcPoint, pathGroup) {
-    var closestID = 0;
-    var closestPointIndex = 0;
-    var closest = srcPoint.getDistance(pathGroup[0].points[0]);
 
-    _.each(pathGroup, function(p, index){
-      _.each(p.points, function(destPoint, pointIndex){
-        var dist = srcPoint.getDistance(destPoint);
-        if (dist < closest) {
-          closest = dist;
-          closestID = index;
-          closestPointIndex = pointIndex;
-        }
+      _.each(group, function(item){
+        a.insertChild(drawIndex, item.path);
+        drawIndex++;
       });
+
+      lastPoint = _.last(group).path.lastSegment.point;
     });
+  }
 
-    return {id: closestID, closestPointIndex: closestPointIndex, dist: closest};
+  // Get the bot home position in source Paper.js coordinates.
+  function getHomePoint() {
+    var home = parser.unMap(
+      {x: 0, y: 0}, config.printArea, config.sourceBounds, config.noMirror
+    );
+    return new paper.Point(home.x, home.y);
   }
 
   /**
@@ -562,6 +1272,294 @@ module.exports = function() {
     }
   }
 
+  /**
+   * Convert an incoming filled path into spiral fill paths, the same rings as
+   * the shape fill offset in from the edge, linked from each ring into the next
+   * so they can be poured in as few pump on runs as possible.
+   *
+   * @param  {pathItem} inPath
+   *   The fill path to work with, removed once the fill paths are created.
+   * @param  {Object} options
+   *   Render configuration, uses shapeFillWidth & flattenResolution.
+   * @return {Array}
+   *   The fill paths created, or null if the path is too small to be filled.
+   */
+  paper.spiralFillPath = spiralFillPath;
+  function spiralFillPath(inPath, options) {
+    // 1. Copy the input path and flatten it to Clipper polygons.
+    // 2. Offset the polygons inwards, a batter width more each time, until
+    //    nothing is left, keeping each resulting ring with its depth.
+    // 3. Starting from an outermost ring, follow it around then spiral into
+    //    the nearest ring one deeper, until there's no deeper ring to link to.
+    // 4. Start a new run on the outermost ring left, until all are poured.
+    var scale = 1000;
+    var pxPerInch = 96;
+    var width = options.shapeFillWidth / 25.4 * pxPerInch; // As shape fill.
+    var region = inPath.clone();
+    var polygons = [];
+
+    _.each(region.children || [region], function(c) {
+      if (!c.length) return;
+      c.flatten(options.flattenResolution);
+      polygons.push(_.map(c.segments, function(s) {
+        return {X: s.point.x * scale, Y: s.point.y * scale};
+      }));
+    });
+
+    // Holes are found by even odd fill, no matter their direction.
+    polygons = ClipperLib.JS.Clean(polygons, 0.1 * scale);
+    polygons = ClipperLib.Clipper.SimplifyPolygons(
+      polygons, ClipperLib.PolyFillType.pftEvenOdd
+    );
+
+    var co = new ClipperLib.ClipperOffset(2, 0.25 * scale);
+    co.AddPaths(
+      polygons,
+      ClipperLib.JoinType.jtRound,
+      ClipperLib.EndType.etClosedPolygon
+    );
+
+    var rings = [];
+    var depth = 0;
+    var offset = [];
+    function addRing(ring) {
+      rings.push({depth: depth, points: _.map(ring, function(p) {
+        return new paper.Point(p.X / scale, p.Y / scale);
+      })});
+    }
+
+    do {
+      offset = new ClipperLib.Paths();
+      co.Execute(offset, -(width / 2 + width * depth) * scale);
+      _.each(offset, addRing);
+      depth++;
+    } while (offset.length);
+
+    if (!rings.length) {
+      // Too small to be filled, leave the inPath untouched to allow it to
+      // become an unfilled closed outline path.
+      region.remove();
+      inPath.data.toosmall = true;
+      return null;
+    }
+
+    var runs = [];
+    var run = null;
+    var link = null;
+    while (rings.length) {
+      if (run) link = getRingLink(rings, link.ring, _.last(run));
+
+      if (link) {
+        // Drop the closing point of the last ring to spiral in from it.
+        run.pop();
+      } else {
+        var outer = _.min(rings, 'depth');
+        link = {ring: outer, index: 0};
+        run = [];
+        runs.push(run);
+      }
+
+      // Follow the ring around from where it was linked to, back to the start.
+      var points = link.ring.points;
+      run.push.apply(
+        run,
+        points.slice(link.index).concat(points.slice(0, link.index + 1))
+      );
+      rings = _.without(rings, link.ring);
+    }
+
+    // Find the nearest point of a ring one deeper to link to, or failing that
+    // any nearby ring, EG back out around a hole. Links must be short enough
+    // to stay inside the fill.
+    function getRingLink(rings, ring, from) {
+      var deeper = _.where(rings, {depth: ring.depth + 1});
+      return getNearestPoint(deeper, from) || getNearestPoint(rings, from);
+    }
+
+    function getNearestPoint(rings, from) {
+      var best = null;
+      _.each(rings, function(next) {
+        _.each(next.points, function(point, index) {
+          var distance = point.getDistance(from);
+          if (!best || distance < best.distance) {
+            best = {ring: next, index: index, distance: distance};
+          }
+        });
+      });
+
+      if (best && best.distance <= width * 2) {
+        var middle = from.add(best.ring.points[best.index]).divide(2);
+        if (region.contains(middle)) return best;
+      }
+      return null;
+    }
+
+    region.remove();
+
+    var fillPaths = _.map(runs, function(points) {
+      var fillPath = new paper.Path({
+        segments: points,
+        data: _.extend({}, inPath.data, {campath: true})
+      });
+      fillPath.insertAbove(inPath);
+      return fillPath;
+    });
+
+    inPath.remove();
+    return fillPaths;
+  }
+
+  /**
+   * Convert an incoming filled path into a set of zig-zag fill line paths.
+   *
+   * @param  {pathItem} fillPath
+   *   The fill path to work with, removed once the fill lines are created.
+   * @param  {Object} options
+   *   Render configuration, uses fillAngle, fillGroupThreshold & fillSpacing.
+   */
+  paper.fillTracePath = fillTracePath;
+  function fillTracePath(fillPath, options) {
+    // 1. Assume line is ALWAYS bigger than the entire object
+    // 2. If filled path, number of intersections will ALWAYS be multiple of 2
+    // 3. Grouping pairs will always yield complete line intersections.
+
+    var lines = [];
+    var line; // The actual line used to find the intersections
+    var boundPath; // The path drawn around the object the line traverses
+
+    var p = fillPath;
+    var angle = options.fillAngle;
+    var groupTheshold = options.fillGroupThreshold;
+    var lineSpacing = options.fillSpacing;
+
+    // Init boundpath and traversal line
+    boundPath = new paper.Path.Ellipse({
+      center: p.position,
+      size: [
+        p.bounds.width + p.bounds.width/Math.PI,
+        p.bounds.height + p.bounds.height/Math.PI
+      ]
+    });
+
+    // Ensure line is far longer than the diagonal of the object
+    line = new paper.Path({
+      segments: [
+        new paper.Point(0, 0),
+        new paper.Point(p.bounds.width + p.bounds.height, 0)
+      ]
+    });
+
+    // Set start & destination based on input angle
+
+    // Divide the length of the bound ellipse into 1 part per angle
+    var amt = boundPath.length/360;
+
+    // Find destination position along ellipse and set to tangent angle
+    var pos = amt * (angle + 180);
+    line.position = boundPath.getPointAt(pos);
+    line.rotation = angle + 90;
+
+    // Find destination position on other side of circle
+    pos = angle + 360;  if (pos > 360) pos -= 360;
+    var destination = boundPath.getPointAt(pos * amt);
+
+    // Find vector and vector length divided by line spacing to get iterations.
+    var vector = destination.subtract(line.position);
+    var iterations = vector.length / lineSpacing;
+
+    // Move through calculated iterations for given spacing
+    for(var i = 0; i <= iterations; i++) {
+      var ints = line.getIntersections(p);
+
+      if (ints.length % 2 === 0) { // If not dividable by 2, we don't want it!
+        for (var x = 0; x < ints.length; x+=2) {
+          var groupingID = findGroup(ints[x].point, lines, groupTheshold);
+
+          var y = new paper.Path({
+            segments: [ints[x].point, ints[x+1].point],
+            data: {
+              color: p.data.color,
+              fill: true,
+              campath: true,
+              overrides: p.data.overrides,
+              source: p.data.source
+            }
+          });
+
+          if (!lines[groupingID]) lines[groupingID] = [];
+          lines[groupingID].push(y);
+        }
+      }
+
+      line.position = line.position.add(vector.divide(iterations));
+    }
+
+    // Combine lines within position similarity groupings
+    for (var g in lines) {
+      var l = lines[g][0];
+
+      for (i = 1; i < lines[g].length; i++) {
+        // Don't join lines that cross outside the path
+        var v = new paper.Path({
+          segments: [l.lastSegment.point, lines[g][i].firstSegment.point]
+        });
+
+        // Find a point halfway between where these lines would be connected
+        // If it's not within the path, don't do it!
+        var intersectionCount = v.getIntersections(p).length;
+        if (!p.contains(v.getPointAt(v.length/2)) || intersectionCount > 3) {
+          // Not contained, store the previous l & start a new grouping;
+          l = lines[g][i];
+        } else {
+          l.join(lines[g][i]);
+        }
+
+        // Remove our test line
+        v.remove();
+      }
+    }
+
+    fillPath.remove(); // Remove the original fill path when we're done.
+    line.remove();
+    boundPath.remove();
+
+    paper.view.update();
+  }
+
+  // Find which grouping a given fill path should go with
+  function findGroup(testPoint, lines, newGroupThresh){
+    // If we don't have any groups yet.. return 0
+    if (lines.length === 0) {
+      return 0;
+    }
+
+    // 1. We go in order, which means the first segment point of the last
+    //    line in each group is the one to check distance against
+    // 2. Compare each, use the shortest...
+    // 3. ...unless it's above the new group threshold, then return a group id
+
+    var vector = -1;
+    var bestVector = newGroupThresh;
+    var groupID = 0;
+    for (var i = 0; i < lines.length; i++) {
+      vector = lines[i][lines[i].length-1].firstSegment.point.subtract(
+        testPoint
+      );
+
+      if (vector.length < bestVector) {
+        groupID = i;
+        bestVector = vector.length;
+      }
+    }
+
+    // Check if we went over the threshold, make a new group!
+    if (bestVector === newGroupThresh) {
+      groupID = lines.length;
+    }
+
+    return groupID;
+  }
+
   // Return true if the layer contains any groups at the top level
   paper.layerContainsCompoundPaths = function(layer) {
     if (typeof layer === 'undefined') layer = paper.project.activeLayer;
@@ -571,6 +1569,19 @@ module.exports = function() {
     return false;
   };
 
+  // Get the data for a child taken out of a compound path, the same as the
+  // compound path's data, but keeping any overrides set on the child itself.
+  function getChildData(parentData, childData) {
+    var data = _.extend({}, parentData);
+    var overrides = _.extend({}, parentData.overrides, childData.overrides);
+    if (_.isEmpty(overrides)) {
+      delete data.overrides;
+    } else {
+      data.overrides = overrides;
+    }
+    return data;
+  }
+
   // Ungroup any groups recursively
   function flattenAllCompoundPaths(layer) {
     if (typeof layer === 'undefined') layer = paper.project.activeLayer;
@@ -582,7 +1593,7 @@ module.exports = function() {
         if (path instanceof paper.CompoundPath) {
           var kids = path.removeChildren();
           for (var k in kids) {
-            kids[k].data = _.extend({}, path.data);
+            kids[k].data = getChildData(path.data, kids[k].data);
           }
           path.parent.insertChildren(0, kids);
           path.remove();
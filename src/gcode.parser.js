@@ -0,0 +1,415 @@
+/**
+ * @file This file contains the GCODE parsing abstractions shared by the
+ * simulator and the GCODE importer, along with the inverse of the renderer's
+ * Paper.js to bot coordinate mapping.
+ **/
+"use strict";
+var _ = require('underscore');
+var dialects = require('./gcode.dialects');
+
+module.exports = {
+  // Shade names as used in the renderer's shade change notes, lightest first.
+  shadeNames: ["Light", "Medium", "Medium dark", "Dark"],
+
+  /**
+   * Parse a single line of GCODE into its command word and arguments.
+   * @param  {String} line
+   *   Single line of GCODE, optionally with an "N" line number prefix and
+   *   "*" checksum suffix.
+   * @return {Object}
+   *   Object with the uppercase command "code" word (empty string if none),
+   *   "args" object keyed by lowercase argument letter with float values, and
+   *   the trimmed "comment" text (empty string if none). Numbered lines also
+   *   have the integer "number" and "checksum", and "valid" set false if the
+   *   checksum doesn't match.
+   */
+  parseLine: function(line) {
+    // Split by comments to remove them, trimmed, upercased then split by space
+    var parts = line.split(';');
+    var comment = parts.slice(1).join(';').trim();
+    var command = parts[0].trim().toUpperCase();
+    var out = {comment: comment};
+
+    // Strip off any line number and checksum.
+    var numbered = command.match(/^N(\d+)\s+(.*?)\s*\*(\d+)$/);
+    if (numbered) {
+      out.number = parseInt(numbered[1], 10);
+      out.checksum = parseInt(numbered[3], 10);
+      out.valid = out.checksum === this.getChecksum(
+        parts[0].trim().split('*')[0]
+      );
+      command = numbered[2];
+    }
+    parts = command.split(' ');
+
+    // Shift off the first element as the code, the rest are arguments
+    out.code = parts.shift();
+
+    // Parse arguments into an object.
+    out.args = {};
+    _.each(parts, function(arg) {
+      if (arg) out.args[arg[0].toLowerCase()] = parseFloat(arg.substr(1));
+    });
+
+    return out;
+  },
+
+  /**
+   * Get the print area set by a workspace command.
+   * @param  {Object} args
+   *   Parsed workspace command arguments.
+   * @return {Object}
+   *   Print area keyed by "x", "y", "l" and "t", or null if the command
+   *   doesn't give one, as for dialects that only turn on the firmware's own
+   *   limits.
+   */
+  getWorkspace: function(args) {
+    var area = _.pick(args, 'x', 'y', 'l', 't');
+    if (_.size(area) < 4 || _.some(area, _.isNaN)) return null;
+    return area;
+  },
+
+  /**
+   * Calculate the checksum of a numbered GCODE line, as checked by firmware.
+   * @param  {String} text
+   *   Line text up to the "*", EG "N12 G00 X1 Y2".
+   * @return {Number}
+   *   The XOR of all the character codes in the text.
+   */
+  getChecksum: function(text) { /* jshint bitwise:false */
+    var sum = 0;
+    for (var i = 0; i < text.length; i++) {
+      sum ^= text.charCodeAt(i);
+    }
+    return sum;
+  },
+
+  /**
+   * Find the value of a "key: value" setting note in the GCODE header.
+   * @param  {String} gcode
+   *   Full GCODE text.
+   * @param  {String} key
+   *   Setting key as written in the header, EG "dialect".
+   * @return {String}
+   *   The value string, or undefined if not found.
+   */
+  getHeaderSetting: function(gcode, key) {
+    var match = gcode.match(new RegExp('^;' + key + ': (.*)$', 'm'));
+    return match ? match[1].trim() : undefined;
+  },
+
+  /**
+   * Find the shade index named by a renderer note, if any.
+   * @param  {String} note
+   *   Comment text from a parsed GCODE line.
+   * @return {Object}
+   *   Object with the "color" shade index, and "change" set true if the note
+   *   is for an upcoming shade change rather than a starting path. Null if the
+   *   note doesn't name a shade.
+   */
+  getNoteShade: function(note) {
+    var colorMatch = note.match(/^Starting .* color #(\d)/);
+    var changeMatch = note.match(/^Switching Color to: (.*)$/);
+
+    if (colorMatch) {
+      return {color: parseInt(colorMatch[1], 10) - 1, change: false};
+    } else if (changeMatch && this.shadeNames.indexOf(changeMatch[1]) > -1) {
+      return {color: this.shadeNames.indexOf(changeMatch[1]), change: true};
+    }
+
+    return null;
+  },
+
+  /**
+   * Find the path number of a renderer path start note, if it is one.
+   * @param  {String} note
+   *   Comment text from a parsed GCODE line.
+   * @return {Object}
+   *   Object with the path "type" ("fill", "stroke" or "dot"), "number"
+   *   (counting from 1) and "total" number of paths, "source" ID of the
+   *   drawing item the path came from (null if not noted), and
+   *   "tooSmall" set true if the path was too small to fill or inset and is
+   *   poured as drawn. Null if the note isn't for a starting path.
+   */
+  getNotePath: function(note) {
+    var match = note.match(/^Starting (\w+) path #(\d+)\/(\d+)/);
+    if (match) {
+      var source = note.match(/, source item #(\d+)/);
+      return {
+        type: match[1],
+        number: parseInt(match[2], 10),
+        total: parseInt(match[3], 10),
+        source: source ? parseInt(source[1], 10) : null,
+        tooSmall: /, too small to /.test(note)
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Find the path a line of GCODE pours, from the renderer notes before it.
+   * @param  {Array} lines
+   *   Full GCODE split into lines.
+   * @param  {Number} index
+   *   Index of the line to find the path of.
+   * @return {Object}
+   *   Path start note object, @see getNotePath. Null if the line isn't part
+   *   of a path, EG a move between paths.
+   */
+  getLinePath: function(lines, index) {
+    for (var i = Math.min(index, lines.length - 1); i >= 0; i--) {
+      var comment = this.parseLine(lines[i]).comment;
+      if (/^Completed path #/.test(comment)) return null;
+
+      var path = this.getNotePath(comment);
+      if (path) return path;
+    }
+
+    return null;
+  },
+
+  /**
+   * Find the shade index of a bottle refill pause note, if it is one.
+   * @param  {String} note
+   *   Comment text from a parsed GCODE line.
+   * @return {Number}
+   *   The shade index of the bottle being refilled, or null if the note isn't
+   *   for a refill pause.
+   */
+  getNoteRefill: function(note) {
+    var match = note.match(/^Bottle refill pause for: (.*)$/);
+    if (match && this.shadeNames.indexOf(match[1]) > -1) {
+      return this.shadeNames.indexOf(match[1]);
+    }
+
+    return null;
+  },
+
+  /**
+   * Find the shade index of a cook time wait note, if it is one.
+   * @param  {String} note
+   *   Comment text from a parsed GCODE line.
+   * @return {Number}
+   *   The shade index about to be poured after the wait, or null if the note
+   *   isn't for a cook time wait.
+   */
+  getNoteCookWait: function(note) {
+    var match = note.match(/^Cook time wait before: (.*)$/);
+    if (match && this.shadeNames.indexOf(match[1]) > -1) {
+      return this.shadeNames.indexOf(match[1]);
+    }
+
+    return null;
+  },
+
+  /**
+   * Parse GCODE into a list of pump on runs (batter lines) for import.
+   *
+   * A run starts at the position the pump is turned on, and continues through
+   * any moves made after the pump is turned off up until the next wait, so
+   * pre-shutoff line ends are included in the run.
+   *
+   * @param  {String} gcode
+   *   Full GCODE text.
+   * @param  {Object} options
+   *   Parse options, with keys "dialect" (profile ID, defaults to the header
+   *   setting if any) and "printArea" (used if no workspace is defined).
+   * @return {Object}
+   *   Parse result with "printArea" as set by the workspace command, "groups"
+   *   as the number of shade groups, and "runs", an array of objects keyed
+   *   "points" (array of bot coordinates), "group" (shade group index, in
+   *   order of pouring), and "color" (shade index from notes, if known). Runs
+   *   where the pump went off without moving are dots, with "dot" set and
+   *   "dwell", the milliseconds waited with the pump on.
+   */
+  parseRuns: function(gcode, options) {
+    var t = this;
+    var dialect = options.dialect || t.getHeaderSetting(gcode, 'dialect');
+    var codeActions = dialects.getCodeActions(dialect);
+    var out = {printArea: options.printArea, groups: 1, runs: []};
+
+    var pos = null; // Current bot position.
+    var run = null; // Current run being built.
+    var pumping = false;
+    var moved = false; // Whether the bot has moved since the pump went on.
+    var dwell = 0; // Milliseconds waited since the pump went on.
+    var group = 0;
+    var groupColor; // Shade index for the current group, if known from notes.
+    var changeColor; // Shade index for the next group, if known from notes.
+
+    _.each(gcode.split("\n"), function(line) {
+      var parsed = t.parseLine(line);
+      var action = codeActions[dialects.normalizeWord(parsed.code)];
+
+      // Notes from the renderer name the shade for the paths that follow.
+      if (!parsed.code && parsed.comment) {
+        var shade = t.getNoteShade(parsed.comment);
+        if (shade && shade.change) {
+          changeColor = shade.color;
+        } else if (shade) {
+          groupColor = shade.color;
+        }
+        return;
+      }
+
+      switch (action) {
+        case 'pumpon':
+          pumping = true;
+          moved = false;
+          dwell = 0;
+          run = {points: pos ? [pos] : [], group: group, color: groupColor};
+          out.runs.push(run);
+          break;
+        case 'pumpoff':
+          if (pumping && run && !moved) {
+            run.dot = true;
+            run.dwell = dwell;
+            run = null;
+          }
+          pumping = false;
+          break;
+        case 'move':
+          if (!isNaN(parsed.args.x) && !isNaN(parsed.args.y)) {
+            pos = {x: parsed.args.x, y: parsed.args.y};
+            moved = true;
+            if (run) run.points.push(pos);
+          }
+          break;
+        case 'arccw':
+        case 'arcccw':
+          if (pos) {
+            var clockwise = action === 'arccw';
+            var points = t.getArcPoints(pos, parsed.args, clockwise, 2);
+            pos = _.last(points);
+            moved = true;
+            if (run) run.points = run.points.concat(points);
+          }
+          break;
+        case 'wait':
+          if (pumping && !isNaN(parsed.args.p)) dwell += parsed.args.p;
+          if (!pumping) run = null;
+          break;
+        case 'change':
+          run = null;
+          group++;
+          out.groups = group + 1;
+          groupColor = changeColor;
+          changeColor = undefined;
+          break;
+        case 'home':
+          run = null;
+          pos = null;
+          break;
+        case 'workspace':
+          out.printArea = t.getWorkspace(parsed.args) || out.printArea;
+          break;
+      }
+    });
+
+    return out;
+  },
+
+  /**
+   * Get the geometry of a G2/G3 arc move, given in center offset form.
+   * @param  {Object} from
+   *   Bot coordinate the arc starts at.
+   * @param  {Object} args
+   *   Parsed arc move arguments, x & y for the end point, i & j for the center
+   *   offset from the start point.
+   * @param  {Boolean} clockwise
+   *   True for a G2 clockwise arc, false for a G3 counter-clockwise arc.
+   * @return {Object}
+   *   Arc object keyed by "center", "end", "radius", "start" (start angle),
+   *   "sweep" (signed angle, negative when clockwise) and "length".
+   */
+  getArc: function(from, args, clockwise) {
+    var end = {
+      x: isNaN(args.x) ? from.x : args.x,
+      y: isNaN(args.y) ? from.y : args.y
+    };
+    var center = {x: from.x + (args.i || 0), y: from.y + (args.j || 0)};
+    var radius = Math.sqrt(
+      Math.pow(from.x - center.x, 2) + Math.pow(from.y - center.y, 2)
+    );
+    var start = Math.atan2(from.y - center.y, from.x - center.x);
+    var sweep = Math.atan2(end.y - center.y, end.x - center.x) - start;
+
+    // Same start and end point is a full circle.
+    if (clockwise && sweep >= 0) sweep -= Math.PI * 2;
+    if (!clockwise && sweep <= 0) sweep += Math.PI * 2;
+
+    return {
+      center: center,
+      end: end,
+      radius: radius,
+      start: start,
+      sweep: sweep,
+      length: Math.abs(sweep) * radius
+    };
+  },
+
+  /**
+   * Interpolate a G2/G3 arc move into a list of points along it.
+   * @param  {Object} from
+   *   Bot coordinate the arc starts at.
+   * @param  {Object} args
+   *   Parsed arc move arguments, @see getArc
+   * @param  {Boolean} clockwise
+   *   True for a G2 clockwise arc, false for a G3 counter-clockwise arc.
+   * @param  {Number} step
+   *   Maximum distance along the arc between points.
+   * @return {Array}
+   *   Bot coordinates along the arc, not including the start point but always
+   *   ending with the exact end point.
+   */
+  getArcPoints: function(from, args, clockwise, step) {
+    var arc = this.getArc(from, args, clockwise);
+    var count = Math.max(1, Math.ceil(arc.length / step));
+    var points = [];
+
+    for (var n = 1; n < count; n++) {
+      var angle = arc.start + arc.sweep * n / count;
+      points.push({
+        x: arc.center.x + Math.cos(angle) * arc.radius,
+        y: arc.center.y + Math.sin(angle) * arc.radius
+      });
+    }
+    points.push(arc.end);
+
+    return points;
+  },
+
+  /**
+   * Convert an output bot mapped coordinate back into an input Paper.js
+   * coordinate, the inverse of the renderer reMap.
+   * @param  {Object} p
+   *   Bot coordinate object with x & y keys.
+   * @param  {Object} printArea
+   *   Workspace print area the coordinate was mapped to.
+   * @param  {Object} bounds
+   *   Source bounds the coordinate was originally mapped from.
+   * @param  {Boolean} noMirror
+   *   Whether the coordinate was rendered without mirroring.
+   * @return {Object}
+   *   Paper.js coordinate object with x & y keys.
+   */
+  unMap: function(p, printArea, bounds, noMirror) {
+    var pa = {
+      x: noMirror ? printArea.x : printArea.l,
+      l: noMirror ? printArea.l : printArea.x,
+      y: printArea.y,
+      t: printArea.t
+    };
+
+    return {
+      x: bounds.x + bounds.width - map(p.x, pa.x, pa.l, 0, bounds.width),
+      y: bounds.y + map(p.y, pa.t, pa.y, 0, bounds.height)
+    };
+  }
+};
+
+// Map a value in a given range to a new range
+function map(x, inMin, inMax, outMin, outMax) {
+  return (x - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
+}
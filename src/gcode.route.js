@@ -0,0 +1,232 @@
+/**
+ * @file This file contains the travel route optimizer used to order paths for
+ * the least amount of pump off travel between them. Works only with the end
+ * points of each path as plain x/y objects, so it has no Paper.js requirement.
+ **/
+"use strict";
+
+module.exports = {
+  // Default time budget for improving routes, in milliseconds.
+  defaultTimeLimit: 1500,
+
+  // Default step budget for improving routes reproducibly, @see optimize.
+  defaultStepLimit: 20000,
+
+  /**
+   * Find a short travel route through a set of paths, each drawn from one end
+   * to the other in either direction.
+   *
+   * The route is seeded by nearest neighbour from the start point, then
+   * improved with 2-opt (reversing runs of paths) and Or-opt (moving chains
+   * of up to 3 paths, optionally reversed) until no improvement is found or
+   * the deadline passes. A deadline of improvement steps gives the same route
+   * every time for the same input, where a time deadline may not.
+   *
+   * @param  {Array} ends
+   *   Array of [first, last] end point pairs, one for each path.
+   * @param  {Object} start
+   *   Point the bot will be at before drawing the first path.
+   * @param  {Number|Object} deadline
+   *   Date.now() timestamp to stop improving the route at, or an object with
+   *   the number of "steps" (passes over the route from one path) left, used
+   *   up as they're taken so it can be shared between routes.
+   * @return {Array}
+   *   The route as an array of objects for each path in order to be drawn,
+   *   keyed by "id" (index in ends) and "reversed" (true if the path should be
+   *   drawn from last point to first).
+   */
+  optimize: function(ends, start, deadline) {
+    var route = nearestNeighbour(ends, start);
+
+    var improved = true;
+    while (improved && !expired(deadline)) {
+      improved = twoOpt(route, ends, start, deadline);
+      improved = orOpt(route, ends, start, deadline) || improved;
+    }
+
+    var out = [];
+    for (var i = 0; i < route.order.length; i++) {
+      out.push({id: route.order[i], reversed: route.rev[i]});
+    }
+    return out;
+  },
+
+  /**
+   * Get the total travel distance of a route.
+   * @param  {Array} route
+   *   Route as returned from optimize.
+   * @param  {Array} ends
+   *   Array of [first, last] end point pairs, one for each path.
+   * @param  {Object} start
+   *   Point the bot will be at before drawing the first path.
+   * @return {Number}
+   *   Sum of the distances from the start to the first path, and between the
+   *   end and start of each following path.
+   */
+  getLength: function(route, ends, start) {
+    var total = 0;
+    var last = start;
+    for (var i = 0; i < route.length; i++) {
+      var pair = ends[route[i].id];
+      total += dist(last, pair[route[i].reversed ? 1 : 0]);
+      last = pair[route[i].reversed ? 0 : 1];
+    }
+    return total;
+  }
+};
+
+// Distance between two points.
+function dist(a, b) {
+  return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+// Improvements must beat this to be applied, avoids float rounding loops.
+var EPSILON = 1e-6;
+
+/**
+ * Build the initial route by always moving to the nearest end of the nearest
+ * remaining path.
+ * @return {Object}
+ *   Working route, keyed by "order" (array of path IDs) and "rev" (array of
+ *   whether the path at the same position is reversed).
+ */
+function nearestNeighbour(ends, start) {
+  var route = {order: [], rev: []};
+  var remaining = [];
+  for (var i = 0; i < ends.length; i++) remaining.push(i);
+
+  var last = start;
+  while (remaining.length) {
+    var best = {index: 0, rev: false, dist: Infinity};
+    for (var r = 0; r < remaining.length; r++) {
+      var pair = ends[remaining[r]];
+      var d0 = dist(last, pair[0]);
+      var d1 = dist(last, pair[1]);
+      if (d0 < best.dist) best = {index: r, rev: false, dist: d0};
+      if (d1 < best.dist) best = {index: r, rev: true, dist: d1};
+    }
+
+    var id = remaining.splice(best.index, 1)[0];
+    route.order.push(id);
+    route.rev.push(best.rev);
+    last = ends[id][best.rev ? 0 : 1];
+  }
+
+  return route;
+}
+
+// Point the path at the given route position is started from.
+function entry(route, ends, k) {
+  return ends[route.order[k]][route.rev[k] ? 1 : 0];
+}
+
+// Point the path at the given route position is finished at.
+function exit(route, ends, k, start) {
+  if (k < 0) return start;
+  return ends[route.order[k]][route.rev[k] ? 0 : 1];
+}
+
+// Reverse the run of paths between the two route positions, inclusive.
+function reverseRun(route, i, j) {
+  var order = route.order.slice(i, j + 1).reverse();
+  var rev = route.rev.slice(i, j + 1).reverse();
+  for (var k = 0; k <= j - i; k++) {
+    route.order[i + k] = order[k];
+    route.rev[i + k] = !rev[k];
+  }
+}
+
+// Whether the deadline for improving routes has passed, using up a step.
+function expired(deadline) {
+  if (typeof deadline === 'number') return Date.now() >= deadline;
+  return deadline.steps-- <= 0;
+}
+
+/**
+ * Run a single pass of 2-opt improvement on the route. As paths can be drawn
+ * in either direction, reversing a run of paths only changes the travel into
+ * its first path and out of its last.
+ * @return {Boolean}
+ *   Whether the route was improved.
+ */
+function twoOpt(route, ends, start, deadline) {
+  var n = route.order.length;
+  var improved = false;
+
+  for (var i = 0; i < n - 1; i++) {
+    if (expired(deadline)) break;
+
+    var before = exit(route, ends, i - 1, start);
+    for (var j = i + 1; j < n; j++) {
+      var after = j + 1 < n ? entry(route, ends, j + 1) : null;
+      var first = entry(route, ends, i);
+      var last = exit(route, ends, j);
+
+      var current = dist(before, first) + (after ? dist(last, after) : 0);
+      var reversed = dist(before, last) + (after ? dist(first, after) : 0);
+      if (reversed < current - EPSILON) {
+        reverseRun(route, i, j);
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+}
+
+/**
+ * Run Or-opt improvement on the route, moving the first chain of 1 to 3 paths
+ * found that is shorter to travel to elsewhere in the route.
+ * @return {Boolean}
+ *   Whether the route was improved.
+ */
+function orOpt(route, ends, start, deadline) {
+  var n = route.order.length;
+
+  for (var len = 1; len <= 3; len++) {
+    for (var i = 0; i + len <= n; i++) {
+      if (expired(deadline)) return false;
+
+      // Travel saved by removing the chain from where it is.
+      var end = i + len - 1;
+      var prev = exit(route, ends, i - 1, start);
+      var next = end + 1 < n ? entry(route, ends, end + 1) : null;
+      var first = entry(route, ends, i);
+      var last = exit(route, ends, end);
+      var saved = dist(prev, first) +
+        (next ? dist(last, next) - dist(prev, next) : 0);
+
+      // Travel added by putting it in each other gap, in either direction.
+      for (var j = 0; j <= n; j++) {
+        if (j >= i && j <= end + 1) continue;
+
+        var left = exit(route, ends, j - 1, start);
+        var right = j < n ? entry(route, ends, j) : null;
+        var gap = right ? dist(left, right) : 0;
+        var forward = dist(left, first) + (right ? dist(last, right) : 0);
+        var backward = dist(left, last) + (right ? dist(first, right) : 0);
+
+        if (Math.min(forward, backward) - gap < saved - EPSILON) {
+          moveChain(route, i, len, j, backward < forward);
+          return true;
+        }
+      }
+    }
+  }
+
+  return false;
+}
+
+// Move a chain of paths to before the given route position, reversing it.
+function moveChain(route, i, len, j, reverse) {
+  var order = route.order.splice(i, len);
+  var rev = route.rev.splice(i, len);
+  if (reverse) {
+    order.reverse();
+    rev = rev.reverse().map(function(r) { return !r; });
+  }
+
+  var at = j > i ? j - len : j;
+  route.order.splice.apply(route.order, [at, 0].concat(order));
+  route.rev.splice.apply(route.rev, [at, 0].concat(rev));
+}
@@ -0,0 +1,265 @@
+/**
+ * @file This file contains the print job spooler, streaming GCODE to the bot
+ * one line at a time through a transport, @see gcode.transports.js
+ *
+ * Each command is only sent once the bot has replied "ok" to the one before,
+ * so the bot's small command buffer never overflows. Notes are never sent,
+ * but the renderer's path start notes are used to report progress. When the
+ * GCODE has line numbers, lines the bot asks to have resent are sent again.
+ **/
+"use strict";
+var _ = require('underscore');
+var dialects = require('./gcode.dialects');
+var parser = require('./gcode.parser');
+
+/**
+ * Create a spooler for a single print job.
+ * @param  {Object} transport
+ *   Open transport to send the job through.
+ * @param  {Object} options
+ *   Spooler options, with keys "dialect" (profile ID, defaults to the header
+ *   setting of the job), "onProgress" (called with the status object on every
+ *   change) and "onComplete" (called once with the status object when the job
+ *   is done, aborted or failed).
+ * @return {Object}
+ *   The spooler object.
+ */
+module.exports = function(transport, options) {
+  options = options || {};
+
+  var lines = []; // Job lines, as objects with either a "cmd" or "note" key.
+  var index = 0; // Index of the next job line to send.
+  var priority = []; // Commands to send before the next job line.
+  var current = null; // Line sent that we're waiting for an ok on.
+  var failure = null; // Error reply from the bot, if any.
+  var resendFrom = null; // Line number the bot asked to be resent from.
+  var pumping = false; // Whether the job last turned the pump on.
+  var startWait = null; // Wait after the job last turned the pump on, in MS.
+  var lastAction = null; // Action of the last job line sent.
+  var dialect = null;
+
+  var spooler = {
+    /**
+     * Job status, passed to the callbacks.
+     *   state: "idle", "printing", "paused", "aborting", "done", "aborted" or
+     *     "error".
+     *   sent: Number of job commands acknowledged.
+     *   total: Total number of job commands.
+     *   path: Current path object from the last path start note, if any,
+     *     @see gcode.parser.js getNotePath
+     *   error: Error message for the "error" state.
+     *   resends: Number of lines the bot asked to be resent.
+     */
+    status: {
+      state: 'idle',
+      sent: 0,
+      total: 0,
+      path: null,
+      error: null,
+      resends: 0
+    },
+
+    /**
+     * Start printing the given GCODE.
+     * @param  {String} gcode
+     *   Full GCODE text, as rendered by gcode.js.
+     */
+    start: function(gcode) {
+      var id = options.dialect || parser.getHeaderSetting(gcode, 'dialect');
+      var codeActions = dialects.getCodeActions(id);
+      dialect = dialects.get(id);
+
+      lines = [];
+      _.each(gcode.split("\n"), function(line) {
+        var parsed = parser.parseLine(line);
+        var cmd = line.split(';')[0].trim();
+        if (cmd) {
+          lines.push({
+            cmd: cmd,
+            action: codeActions[dialects.normalizeWord(parsed.code)],
+            args: parsed.args,
+            number: parsed.number,
+            job: true
+          });
+        } else if (parsed.comment) {
+          lines.push({note: parsed.comment});
+        }
+      });
+
+      index = 0;
+      spooler.status.total = _.filter(lines, 'cmd').length;
+      setState('printing');
+      sendNext();
+    },
+
+    /**
+     * Pause the job after the current command, turning the pump off if on.
+     */
+    pause: function() {
+      if (spooler.status.state !== 'printing') return;
+      if (pumping) priority = priority.concat(getCommands('pumpoff'));
+      setState('paused');
+      sendNext();
+    },
+
+    /**
+     * Resume a paused job, turning the pump back on if it was on, and waiting
+     * for it to warm up again as it did when it was first turned on.
+     */
+    resume: function() {
+      if (spooler.status.state !== 'paused') return;
+      if (pumping) {
+        priority = priority.concat(getCommands('pumpon'));
+        if (startWait) {
+          priority = priority.concat(getCommands('wait', startWait));
+        }
+      }
+      setState('printing');
+      sendNext();
+    },
+
+    /**
+     * Abort the job after the current command, then safely turn off the pump,
+     * home and turn off the motors.
+     */
+    abort: function() {
+      var state = spooler.status.state;
+      if (['printing', 'paused'].indexOf(state) === -1) return;
+
+      priority = [].concat(
+        getCommands('pumpoff'),
+        getCommands('home'),
+        getCommands('off')
+      );
+      setState('aborting');
+      sendNext();
+    }
+  };
+
+  // Get the plain command lines for a dialect command, without comments, with
+  // the value given if it takes one.
+  function getCommands(name, value) {
+    var cmds = dialect.cmds[name];
+    return _.map(_.isArray(cmds) ? cmds : [cmds], function(cmd) {
+      return cmd.split(';')[0].trim().replace(/%%/g, value);
+    });
+  }
+
+  // Set the job state and report the change.
+  function setState(state, error) {
+    spooler.status.state = state;
+    if (error) spooler.status.error = error;
+    if (options.onProgress) options.onProgress(spooler.status);
+  }
+
+  // Finish the job in the given state, closing the transport.
+  function finish(state, error) {
+    setState(state, error);
+    transport.close();
+    if (options.onComplete) options.onComplete(spooler.status);
+  }
+
+  // Send a line and wait for the bot to acknowledge it.
+  function send(line) {
+    current = line;
+    transport.write(line.cmd);
+  }
+
+  // Send the next command, if we're not waiting on the bot.
+  function sendNext() {
+    if (current) return;
+
+    if (priority.length) {
+      return send({cmd: priority.shift()});
+    }
+
+    var state = spooler.status.state;
+    if (state === 'aborting') {
+      return finish(failure ? 'error' : 'aborted', failure);
+    }
+    if (state !== 'printing') return;
+
+    // Read through notes for progress until we find a command to send.
+    while (index < lines.length && lines[index].note) {
+      var path = parser.getNotePath(lines[index].note);
+      if (path) {
+        spooler.status.path = path;
+        if (options.onProgress) options.onProgress(spooler.status);
+      }
+      index++;
+    }
+
+    if (index >= lines.length) return finish('done');
+
+    var line = lines[index++];
+    if (line.action === 'pumpon') pumping = true;
+    if (line.action === 'pumpoff') pumping = false;
+    if (line.action === 'wait' && lastAction === 'pumpon') {
+      startWait = line.args.p;
+    }
+    lastAction = line.action;
+    send(line);
+  }
+
+  // Go back to the job line with the given line number to send it again.
+  function rewind(number) {
+    var at = _.findIndex(lines, {number: number});
+    if (at === -1) {
+      failure = 'Unable to resend line ' + number;
+      return spooler.abort();
+    }
+
+    index = at;
+    spooler.status.resends++;
+    if (options.onProgress) options.onProgress(spooler.status);
+  }
+
+  transport.onLine(function(reply) {
+    if (!current) return; // Startup messages, etc.
+
+    // The ok following a resend request is for the line that was rejected.
+    var resend = reply.match(/^(resend|rs)[:\s]*N?(\d+)/i);
+    if (resend) {
+      resendFrom = parseInt(resend[2], 10);
+      return;
+    }
+
+    if ((/^ok/i).test(reply)) {
+      var line = current;
+      current = null;
+      if (resendFrom !== null) {
+        rewind(resendFrom);
+        resendFrom = null;
+        return sendNext();
+      }
+
+      // Only job lines count towards progress, not pause or abort commands,
+      // and resent lines only count once.
+      if (line.job && !line.acked) {
+        line.acked = true;
+        spooler.status.sent++;
+        if (options.onProgress) options.onProgress(spooler.status);
+      }
+      sendNext();
+    } else if ((/(checksum|line number|last line)/i).test(reply)) {
+      // Transmission errors are followed by a resend request.
+      return;
+    } else if ((/^(error|!!)/i).test(reply)) {
+      // The bot won't do anything useful after an error, so safely stop.
+      current = null;
+      if (spooler.status.state === 'aborting') return finish('error', reply);
+      failure = reply;
+      spooler.abort();
+    }
+  });
+
+  transport.onClose(function(err) {
+    var state = spooler.status.state;
+    if (['printing', 'paused', 'aborting'].indexOf(state) !== -1) {
+      setState('error', err ? err.message : 'Connection closed');
+      if (options.onComplete) options.onComplete(spooler.status);
+    }
+  });
+
+  return spooler;
+};
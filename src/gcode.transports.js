@@ -0,0 +1,188 @@
+/**
+ * @file This file contains the line based connections the GCODE spooler can
+ * print through. Every transport has the same small interface, so the spooler
+ * doesn't care if it's talking to a USB serial port, a pseudo-terminal or a
+ * network socket:
+ *
+ *   write(line)       Send a single line, the line ending is added.
+ *   onLine(callback)  Call back with each full line received, trimmed.
+ *   onClose(callback) Call back once when closed, with an error if any.
+ *   close()           Close the connection.
+ **/
+"use strict";
+var _ = require('underscore');
+var fs = require('fs');
+var net = require('net');
+
+module.exports = {
+  // Baud rate for serial ports when not given.
+  defaultBaudRate: 115200,
+
+  /**
+   * Create a transport from a pair of node streams.
+   * @param  {Stream} input
+   *   Readable stream of data from the bot.
+   * @param  {Stream} output
+   *   Writable stream of data to the bot, can be the same as input.
+   * @param  {Function} closer
+   *   Optional function to call to close the underlying connection, defaults
+   *   to ending the output stream.
+   * @return {Object}
+   *   Transport object.
+   */
+  stream: function(input, output, closer) {
+    var lineCallbacks = [];
+    var closeCallbacks = [];
+    var buffer = '';
+    var closed = false;
+
+    function setClosed(err) {
+      if (closed) return;
+      closed = true;
+      _.each(closeCallbacks, function(callback) { callback(err || null); });
+    }
+
+    input.on('data', function(data) {
+      var lines = (buffer + data.toString()).split(/\r?\n/);
+      buffer = lines.pop(); // Last part is incomplete until the next newline.
+      _.each(lines, function(line) {
+        line = line.trim();
+        if (!line) return;
+        _.each(lineCallbacks, function(callback) { callback(line); });
+      });
+    });
+
+    input.on('error', setClosed);
+    input.on('close', function() { setClosed(); });
+    if (output !== input) output.on('error', setClosed);
+
+    return {
+      write: function(line) {
+        if (!closed) output.write(line + "\n");
+      },
+      onLine: function(callback) {
+        lineCallbacks.push(callback);
+      },
+      onClose: function(callback) {
+        closeCallbacks.push(callback);
+      },
+      close: function() {
+        if (closer) {
+          closer();
+        } else {
+          output.end();
+        }
+        setClosed();
+      }
+    };
+  },
+
+  /**
+   * Create a transport for a device file, EG a pseudo-terminal or a serial
+   * port already configured by the OS.
+   * @param  {String} path
+   *   Path to the device, EG "/dev/pts/3".
+   * @return {Object}
+   *   Transport object.
+   */
+  device: function(path) {
+    var input = fs.createReadStream(path);
+    var output = fs.createWriteStream(path);
+    return this.stream(input, output, function() {
+      output.end();
+      input.destroy();
+    });
+  },
+
+  /**
+   * Create a transport for a TCP socket.
+   * @param  {String} host
+   * @param  {Number} port
+   * @return {Object}
+   *   Transport object.
+   */
+  tcp: function(host, port) {
+    var socket = net.connect(port, host);
+    return this.stream(socket, socket);
+  },
+
+  /**
+   * Create a transport for a serial port, requires the optional serialport
+   * module to be installed.
+   * @param  {String} path
+   *   Serial port path, EG "/dev/ttyUSB0" or "COM3".
+   * @param  {Number} baudRate
+   *   Serial baud rate, defaults to defaultBaudRate.
+   * @return {Object}
+   *   Transport object.
+   */
+  serial: function(path, baudRate) {
+    var SerialPort = getSerialPort();
+    if (!SerialPort) {
+      throw new Error('The serialport module is not installed.');
+    }
+
+    var port = new SerialPort(path, {
+      baudRate: parseInt(baudRate, 10) || this.defaultBaudRate
+    });
+    return this.stream(port, port, function() {
+      port.close();
+    });
+  },
+
+  /**
+   * Open the right transport for a given address.
+   * @param  {String} address
+   *   Either "tcp://host:port", or a serial port or device path.
+   * @param  {Number} baudRate
+   *   Serial baud rate, only used for serial ports.
+   * @return {Object}
+   *   Transport object.
+   */
+  open: function(address, baudRate) {
+    var tcp = address.match(/^tcp:\/\/(.*):(\d+)$/);
+    if (tcp) {
+      return this.tcp(tcp[1], parseInt(tcp[2], 10));
+    }
+
+    // Without the serialport module, ports can still be used as plain devices.
+    if (getSerialPort()) {
+      return this.serial(address, baudRate);
+    }
+    return this.device(address);
+  },
+
+  /**
+   * List the available serial ports.
+   * @param  {Function} callback
+   *   Called with an array of port paths.
+   */
+  list: function(callback) {
+    var SerialPort = getSerialPort();
+    if (SerialPort) {
+      SerialPort.list(function(err, ports) {
+        callback(err ? [] : _.pluck(ports, 'comName'));
+      });
+      return;
+    }
+
+    // Fall back to finding USB serial devices by name.
+    fs.readdir('/dev', function(err, names) {
+      if (err) return callback([]);
+      callback(_.map(_.filter(names, function(name) {
+        return (/^(ttyUSB|ttyACM|cu\.usb|tty\.usb)/).test(name);
+      }), function(name) {
+        return '/dev/' + name;
+      }));
+    });
+  }
+};
+
+// Get the optional serialport module, or null if it's not installed.
+function getSerialPort() {
+  try {
+    return require('serialport');
+  } catch(e) {
+    return null;
+  }
+}
@@ -5,7 +5,6 @@
 module.exports = function(paper) {
   var utils = {};
   var _ = require('underscore');
-  var canvasBuffer = require('electron-canvas-to-buffer');
   var fs = require('fs-plus');
   const ProgressPromise = require('progress-promise');
 
@@ -379,6 +378,8 @@ module.exports = function(paper) {
      *   Fulfilled promise returns final destination file path.
      */
     saveRasterImage: function(item, dpi, dest) {
+      // Required here as it needs Electron, the rest of the helpers don't.
+      var canvasBuffer = require('electron-canvas-to-buffer');
       var exportRaster = item.rasterize(dpi);
       return new Promise(function(resolve, reject) {
         var b = canvasBuffer(exportRaster.canvas, 'image/png');
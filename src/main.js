@@ -16,6 +16,7 @@ var _ = require('underscore');
 var BrowserWindow = require('electron').BrowserWindow;
 var dialog = require('electron').dialog;
 var i18n = require('i18next');
+var appSettings = require('./settings');
 
 // Report crashes to our server.
 //require('crash-reporter').start();
@@ -44,66 +45,15 @@ var mainWindow = null;
  * Initialize the settings, constants & defaults
  */
 function settingsInit() {
-  // Global application constants (set and referenced from here only!)
-  // TODO: Gather more of these from around the app.
-  app.constants = {
-    pancakeShades: [
-      '#ffea7e',
-      '#e2bc15',
-      '#a6720e',
-      '#714a00'
-    ],
-    botSpeedMax: 6600, // Real world PancakeBot speed maximum.
-
-    // Real world measurement of the griddle maximum dimensions in MM
-    griddleSize: {
-      width: 507.5,
-      height: 267.7,
-    },
-
-    // Printable/drawable area in MM from furthest griddle edge.
-    printableArea: {
-      offset: {
-        left: 36.22,
-        top: 34.77,
-        right: 42, // Used exclusively for GCODE X offset
-      },
-      width: 443,
-      height: 210,
-    },
-  };
+  // Global application constants, shared with the renderer processes.
+  app.constants = appSettings.constants;
 
   // Global user configurable settings.
   var settingsFile = path.join(appPath, 'settings.json');
   var userSettingsFile = path.join(app.getPath('userData'), 'config.json');
   app.settings = {
     v: {}, // Values are saved to/from here
-    defaults: {
-      window: {
-        width: 980,
-        height: 600,
-        y: 'center',
-        x: 'center'
-      },
-      lastFile: '',
-      flatten: 2,          // Flatten curve value (smaller value = more points)
-      shutoff: 25,          // Remaining line length threshold for pump shutoff
-      startwait: 350,       // Time to wait for batter flow begin
-      endwait: 250,         // Time to wait for batter flow at end of line
-      changewait: 15,       // Number of seconds to wait between shade changes.
-      botspeed: 70,         // Locked stepper speed percentage written to GCODE
-      usecolorspeed: false, // Whether to use different speeds for colors.
-      useshortest: true,   // Whether to travel sort the final layer.
-      botspeedcolor1: 100,  // Light speed.
-      botspeedcolor2: 80,   // Medium speed.
-      botspeedcolor3: 80,   // Medium Dark speed.
-      botspeedcolor4: 50,   // Dark speed.
-      uselinefill: false,   // Whether to use line fill over shape fill.
-      fillspacing: 10,      // Space between each trace fill line
-      fillangle: 23,        // Angle of line for trace fill
-      fillthresh: 27,       // Threshold to group zig zags
-      shapefillwidth: 3     // Effective fill space.
-    },
+    defaults: appSettings.defaults,
     clear: function() {
       fs.removeSync(settingsFile);
     },
@@ -121,6 +71,7 @@ function settingsInit() {
           this.v = JSON.parse(fs.readFileSync(settingsFile));
         }
       } catch(e) {}
+      appSettings.upgrade(this.v); // Convert any older settings.
 
       // Comb in defaults
       for(var i in this.defaults) {
@@ -136,6 +87,7 @@ function settingsInit() {
           user_config = require(userSettingsFile);
         }
       } catch(e) {}
+      appSettings.upgrade(user_config);
       
       for(var i in user_config) {
         this.v[i] = user_config[i];
@@ -0,0 +1,307 @@
+/**
+ * @file Shared application constants, user setting defaults and the mapping of
+ * those settings into the GCODE renderer configuration. Node only, no Electron
+ * or DOM requirements, so it can be used by the main process, the export
+ * window and the command line exporter alike.
+ **/
+"use strict";
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+
+module.exports = {
+  // Global application constants (set and referenced from here only!)
+  // TODO: Gather more of these from around the app.
+  constants: {
+    pancakeShades: [
+      '#ffea7e',
+      '#e2bc15',
+      '#a6720e',
+      '#714a00'
+    ],
+    botSpeedMax: 6600, // Real world PancakeBot speed maximum.
+    dotDwell: 500, // Milliseconds to pour the smallest size batter dot.
+
+    // Real world measurement of the griddle maximum dimensions in MM
+    griddleSize: {
+      width: 507.5,
+      height: 267.7,
+    },
+
+    // Printable/drawable area in MM from furthest griddle edge.
+    printableArea: {
+      offset: {
+        left: 36.22,
+        top: 34.77,
+        right: 42, // Used exclusively for GCODE X offset
+      },
+      width: 443,
+      height: 210,
+    },
+  },
+
+  // Default values for global user configurable settings.
+  defaults: {
+    window: {
+      width: 980,
+      height: 600,
+      y: 'center',
+      x: 'center'
+    },
+    lastFile: '',
+    flatten: 2,          // Flatten curve value (smaller value = more points)
+    usearcs: false,       // Whether to output curves as G2/G3 arcs.
+    arctolerance: 0.2,    // Max MM a fitted arc may stray from the curve.
+    shutoff: 25,          // Remaining line length threshold for pump shutoff
+    useshutofftime: false, // Whether to set the pump shutoff by lead time.
+    shutofftime: 300,     // Pump shutoff lead time in ms, before line end.
+    startwait: 350,       // Time to wait for batter flow begin
+    endwait: 250,         // Time to wait for batter flow at end of line
+    changewait: 15,       // Number of seconds to wait between shade changes.
+    botspeed: 70,         // Locked stepper speed percentage written to GCODE
+    usecolorspeed: false, // Whether to use different speeds for colors.
+    useshortest: true,   // Whether to travel sort the final layer.
+    pourorder: 'color3-line,color3-fill,color2-line,color2-fill,' +
+      'color1-line,color1-fill,color0-line,color0-fill', // Shade & type order.
+    botspeedcolor1: 100,  // Light speed.
+    botspeedcolor2: 80,   // Medium speed.
+    botspeedcolor3: 80,   // Medium Dark speed.
+    botspeedcolor4: 50,   // Dark speed.
+    useshadetiming: false, // Whether to use the shade specific pump timing.
+    startwaitcolor1: 350, // Light pump on wait time in ms.
+    startwaitcolor2: 350, // Medium pump on wait time.
+    startwaitcolor3: 350, // Medium Dark pump on wait time.
+    startwaitcolor4: 350, // Dark pump on wait time.
+    endwaitcolor1: 250,   // Light line end wait time in ms.
+    endwaitcolor2: 250,   // Medium line end wait time.
+    endwaitcolor3: 250,   // Medium Dark line end wait time.
+    endwaitcolor4: 250,   // Dark line end wait time.
+    shutofftimecolor1: 300, // Light pump shutoff lead time in ms.
+    shutofftimecolor2: 300, // Medium pump shutoff lead time.
+    shutofftimecolor3: 300, // Medium Dark pump shutoff lead time.
+    shutofftimecolor4: 300, // Dark pump shutoff lead time.
+    flowcolor1: 12,       // Light batter flow, ML per meter of pumped line.
+    flowcolor2: 12,       // Medium batter flow.
+    flowcolor3: 12,       // Medium Dark batter flow.
+    flowcolor4: 12,       // Dark batter flow.
+    userefill: false,     // Whether to pause for refills when bottles run dry.
+    bottlecapacity1: 250, // Light bottle capacity in ML.
+    bottlecapacity2: 250, // Medium bottle capacity.
+    bottlecapacity3: 250, // Medium Dark bottle capacity.
+    bottlecapacity4: 250, // Dark bottle capacity.
+    usecooktime: false,   // Whether to wait for shade specific cook times.
+    cooktime1: 0,         // Light extra cook time in seconds.
+    cooktime2: 30,        // Medium extra cook time.
+    cooktime3: 60,        // Medium Dark extra cook time.
+    cooktime4: 90,        // Dark extra cook time.
+    fillstrategy: 'shape', // Fill with "shape" offsets, "line"s or a "spiral".
+    fillspacing: 10,      // Space between each trace fill line
+    fillangle: 23,        // Angle of line for trace fill
+    fillthresh: 27,       // Threshold to group zig zags
+    shapefillwidth: 3,    // Effective fill space.
+    spreadcompensation: 0, // MM to inset fills by for batter spread.
+    spreadoutlines: false, // Whether to also inset closed outlines.
+    dialect: 'pancakebot', // Firmware dialect profile, @see gcode.dialects.js
+    exportsplit: 'none',  // Split export files by "shade", "pancake" or not.
+    uselinenumbers: false, // Whether to add line numbers & checksums.
+    reproducible: false,  // Whether to make the same GCODE for the same input.
+    printport: '',        // Last serial port or address printed to.
+    printbaud: 115200     // Serial baud rate for direct printing.
+  },
+
+  // Every shade & path type pour group, in the default order poured: darkest
+  // shade first, lines before fills.
+  pourGroups: [
+    'color3-line',
+    'color3-fill',
+    'color2-line',
+    'color2-fill',
+    'color1-line',
+    'color1-fill',
+    'color0-line',
+    'color0-fill'
+  ],
+
+  /**
+   * Get a complete pour order of shade & path type groups from a saved order.
+   * @param  {String|Array} order
+   *   Comma separated list or array of group names, EG "color3-fill". Unknown
+   *   or repeated groups are ignored.
+   * @return {Array}
+   *   Every group name in pourGroups, in the given order followed by any
+   *   missing groups in the default order.
+   */
+  getPourOrder: function(order) {
+    if (typeof order === 'string') order = order.split(',');
+    var known = _.intersection(_.invoke(order || [], 'trim'), this.pourGroups);
+    return _.union(known, this.pourGroups);
+  },
+
+  /**
+   * Convert saved settings values from older versions to their current form.
+   * @param  {Object} v
+   *   Saved user settings values object, before defaults are combed in.
+   * @return {Object}
+   *   The passed settings values object, for chaining.
+   */
+  upgrade: function(v) {
+    // The line fill checkbox was replaced by the fill strategy select.
+    if (typeof v.uselinefill !== 'undefined') {
+      if (typeof v.fillstrategy === 'undefined') {
+        v.fillstrategy = v.uselinefill ? 'line' : 'shape';
+      }
+      delete v.uselinefill;
+    }
+
+    return v;
+  },
+
+  /**
+   * Get the GCODE print area limitations from the printable area constants.
+   * @param  {Object} constants
+   *   Application constants object, as defined above.
+   * @return {Object}
+   *   Print area in 1 MM increments, keyed as expected by the W1 workspace.
+   */
+  getPrintArea: function(constants) {
+    var pa = constants.printableArea;
+    return {
+      x: pa.offset.right,
+      t: 0,
+      l: pa.width + pa.offset.right,
+      y: pa.height
+    };
+  },
+
+  /**
+   * Get the printable area in drawing project coordinates. The editor scales
+   * the griddle image to fit the window and zooms the view to match, so the
+   * project coordinates are always relative to the natural griddle image size,
+   * whatever the window size.
+   * @param  {Object} constants
+   *   Application constants object, as defined above.
+   * @return {Object}
+   *   Rectangle-like object of the printable area, as the GCODE source bounds.
+   */
+  getSourceBounds: function(constants) {
+    var svg = fs.readFileSync(
+      path.join(__dirname, 'images', 'griddle.svg'), 'utf8'
+    );
+    var viewBox = svg.match(/viewBox="([\d\.\s]+)"/)[1].split(' ');
+    var pxPerMM = parseFloat(viewBox[2]) / constants.griddleSize.width;
+
+    return {
+      x: 0,
+      y: 0,
+      width: constants.printableArea.width * pxPerMM,
+      height: constants.printableArea.height * pxPerMM
+    };
+  },
+
+  /**
+   * Convert a speed percentage setting into a real GCODE feed rate.
+   * @param  {Number} percent
+   *   Percentage of maximum bot speed, 0 to 100.
+   * @param  {Object} constants
+   *   Application constants object, as defined above.
+   * @return {Number}
+   *   Integer feed rate for use with the speed command.
+   */
+  getBotSpeed: function(percent, constants) {
+    return parseInt((percent / 100) * constants.botSpeedMax, 10);
+  },
+
+  /**
+   * Get the per shade batter flow rates for estimating batter usage.
+   * @param  {Object} v
+   *   User settings values object (app.settings.v).
+   * @return {Array}
+   *   Batter milliliters per meter of pumped line for each shade, lightest
+   *   first, @see gcode.estimate.js
+   */
+  getFlowRates: function(v) {
+    return [v.flowcolor1, v.flowcolor2, v.flowcolor3, v.flowcolor4];
+  },
+
+  /**
+   * Map the user settings values onto a GCODE renderConfig object.
+   * @see defaults above for explanations and default values.
+   *
+   * @param  {Object} rc
+   *   The renderConfig object to apply the settings to.
+   * @param  {Object} v
+   *   User settings values object (app.settings.v).
+   * @param  {Object} constants
+   *   Application constants object, as defined above.
+   * @return {Object}
+   *   The passed renderConfig object, for chaining.
+   */
+  applyRenderSettings: function(rc, v, constants) {
+    var t = this;
+    rc.flattenResolution = v.flatten;
+    rc.useArcs = v.usearcs;
+    rc.arcTolerance = v.arctolerance;
+    rc.lineEndPreShutoff = v.shutoff;
+    rc.useShutoffTime = v.useshutofftime;
+    rc.shutoffTime = v.shutofftime;
+    rc.startWait = v.startwait;
+    rc.endWait = v.endwait;
+    rc.shadeChangeWait = v.changewait;
+    rc.fillStrategy = v.fillstrategy;
+    rc.useShortest = v.useshortest;
+    rc.pourOrder = t.getPourOrder(v.pourorder);
+    rc.fillSpacing = v.fillspacing;
+    rc.fillAngle = v.fillangle;
+    rc.fillGroupThreshold = v.fillthresh;
+    rc.shapeFillWidth = v.shapefillwidth;
+    rc.spreadCompensation = v.spreadcompensation;
+    rc.spreadOutlines = v.spreadoutlines;
+    rc.dialect = v.dialect;
+    rc.splitExport = v.exportsplit;
+    rc.useLineNumbers = v.uselinenumbers;
+    rc.reproducible = v.reproducible;
+    rc.botSpeed = t.getBotSpeed(v.botspeed, constants);
+
+    rc.useColorSpeed = v.usecolorspeed;
+    rc.botColorSpeed = [
+      t.getBotSpeed(v.botspeedcolor1, constants),
+      t.getBotSpeed(v.botspeedcolor2, constants),
+      t.getBotSpeed(v.botspeedcolor3, constants),
+      t.getBotSpeed(v.botspeedcolor4, constants),
+    ];
+
+    rc.useShadeTiming = v.useshadetiming;
+    rc.shadeStartWait = [
+      v.startwaitcolor1,
+      v.startwaitcolor2,
+      v.startwaitcolor3,
+      v.startwaitcolor4,
+    ];
+    rc.shadeEndWait = [
+      v.endwaitcolor1,
+      v.endwaitcolor2,
+      v.endwaitcolor3,
+      v.endwaitcolor4,
+    ];
+    rc.shadeShutoffTime = [
+      v.shutofftimecolor1,
+      v.shutofftimecolor2,
+      v.shutofftimecolor3,
+      v.shutofftimecolor4,
+    ];
+
+    rc.useRefill = v.userefill;
+    rc.flowRates = t.getFlowRates(v);
+    rc.bottleCapacity = [
+      v.bottlecapacity1,
+      v.bottlecapacity2,
+      v.bottlecapacity3,
+      v.bottlecapacity4,
+    ];
+
+    rc.useCookTime = v.usecooktime;
+    rc.cookTime = [v.cooktime1, v.cooktime2, v.cooktime3, v.cooktime4];
+
+    return rc;
+  }
+};
@@ -4,16 +4,54 @@
  * a single givend rawing layer.
  */
  /* globals
-   window, paper, Layer, view, Path, Point
+   window, paper, Layer, Group, view, Path, Point, PointText
  */
 var $ = window.$ = require('jquery');
 var _ = window._ = require('underscore');
 var gcRender = require('../gcode.js')(); // GCODE renderer.
+var dialects = require('../gcode.dialects.js'); // GCODE firmware dialects.
+var gcParser = require('../gcode.parser.js'); // GCODE line parser.
+var createEmulator = require('../gcode.emulator.js'); // Bot timing.
 var ipc = window.ipc = require('electron').ipcRenderer;
 var remote = require('electron').remote;
 var app = window.app = remote.app;
 
-var currentShade = 3;
+var currentShade = null; // Shade index being poured, null if not known.
+var nextShade = null; // Shade index named for the next shade change, if any.
+var lastP; // Last position drawn to, in Paper.js coordinates.
+var lastPos; // Last position in bot coordinates, for arcs.
+var preview = {};
+var pourTime = 0; // Milliseconds waited with the pump on, since the last move.
+var feedRate = null; // Feed rate in MM per minute, null until set.
+var run = null; // Realistic batter poured since the pump was turned on.
+var blob = null; // Realistic batter puddle poured at the last position.
+var runs = []; // Realistic batter runs poured, to find where they merge.
+var pumping = false;
+var travel = null; // Overlay line of the moves made since the pump went off.
+var pathNumber = null; // Number of the path started, until the pump goes on.
+
+// Timed playback of the simulated GCODE, drawn up to the playback time.
+var playback = {
+  config: {}, // Render config the GCODE is simulated with.
+  lines: [], // GCODE lines to draw.
+  starts: [], // Bot time in seconds each line starts at.
+  ends: [], // Bot time in seconds each line finishes at.
+  positions: [], // Bot position each line starts at.
+  changes: [], // Shade changes, keyed "start", "end" (times) and "shade".
+  groups: 1, // Number of groups of paths poured between shade changes.
+  total: 0, // Total bot time in seconds.
+  index: 0, // Index of the next line to draw.
+  time: 0, // Bot time drawn up to, in seconds.
+  speed: 1, // Bot seconds played each real second.
+  playing: false,
+  realistic: false, // Whether to draw batter as it would spread, not ideal.
+  merges: 0, // Number of places batter runs have been found to merge.
+  travel: 0, // MM moved with the pump off.
+  pour: 0, // MM moved with the pump on.
+  path: null, // Path last started, @see gcParser.getNotePath
+  partial: null // Preview path with a partially drawn move added to it.
+};
+var codeActions = dialects.getCodeActions(); // Command word to gc() name.
 var ac = app.constants;
 var printArea = { // Default Print area limitations (in MM)
   x: ac.printableArea.offset.right,
@@ -39,14 +77,64 @@ ipc.on('loadInit', function(event, jsonData) { /* jshint ignore:line */
 
 ipc.on('renderTrigger', function(event, config) { /* jshint ignore:line */
   var gcode = gcRender(paper.sourceLayer, config);
-  paper.simulateGCODE(gcode);
-  ipc.sendToHost('renderComplete', gcode);
+
+  // Split files are rendered separately, the simulation shows the whole job.
+  var split = null;
+  if (config.splitExport && config.splitExport !== 'none') {
+    split = gcRender.split(paper.sourceLayer, config);
+  }
+
+  paper.simulateGCODE(gcode, config);
+  ipc.sendToHost('renderComplete', gcode, split);
+});
+
+// Draw given GCODE without rendering, EG a recording from the bot emulator.
+ipc.on('simulateTrigger', function(event, gcode, config) { /* jshint ignore:line */
+  paper.simulateGCODE(gcode, config);
 });
 
 ipc.on('cleanup', function() {
   paper.cleanup();
 });
 
+// Control the timed playback from the export window.
+ipc.on('playback', function(event, command, value) { /* jshint ignore:line */
+  switch (command) {
+    case 'play':
+      if (playback.time >= playback.total) paper.seekPlayback(0);
+      playback.playing = true;
+      break;
+    case 'pause':
+      playback.playing = false;
+      break;
+    case 'seek':
+      paper.seekPlayback(value);
+      break;
+    case 'speed':
+      playback.speed = value;
+      break;
+    case 'view':
+      playback.realistic = value === 'realistic';
+      var time = playback.time;
+      resetDrawing();
+      paper.seekPlayback(time);
+      break;
+    case 'step': // Draw one more or one less GCODE command.
+      playback.playing = false;
+      stepPlayback(value);
+      break;
+    case 'highlight': // Index of the GCODE line to highlight.
+      highlightLine(value);
+      break;
+    case 'overlays': // Object of overlay visibility keyed by overlay name.
+      _.each(value, function(visible, name) {
+        paper.overlays[name].visible = visible;
+      });
+      break;
+  }
+  sendPlaybackStatus();
+});
+
 
 /*
           ██████  ██ ███    ██ ██████  ██ ███    ██  ██████  ███████
@@ -96,9 +184,11 @@ $('div#simulator-wrapper').on('mousewheel', function(e) {
 });
 
 var dragStart = null;
+var clickStart = null;
 $('div#simulator-wrapper').on('mousedown mouseup mousemove', function(e) {
   switch (e.type) {
     case 'mousedown':
+      clickStart = [e.originalEvent.screenX, e.originalEvent.screenY];
       dragStart = [
         e.originalEvent.screenX + translateOffset[0],
         e.originalEvent.screenY + translateOffset[1]
@@ -115,10 +205,34 @@ $('div#simulator-wrapper').on('mousedown mouseup mousemove', function(e) {
       break;
     case 'mouseup':
       dragStart = null;
+
+      // Clicking without dragging selects the GCODE line of the move clicked.
+      if (clickStart && Math.abs(e.originalEvent.screenX - clickStart[0]) +
+          Math.abs(e.originalEvent.screenY - clickStart[1]) < 4) {
+        selectLineAt(e.originalEvent);
+      }
+      clickStart = null;
       break;
   }
 });
 
+// Highlight and select the GCODE line of the move nearest a mouse event.
+function selectLineAt(event) {
+  // The canvas is scaled to fit, so map from the scaled screen size.
+  var rect = $('canvas#simulator-preview')[0].getBoundingClientRect();
+  var scale = view.viewSize.width / rect.width;
+  var point = view.viewToProject(new Point(
+    (event.clientX - rect.left) * scale,
+    (event.clientY - rect.top) * scale
+  ));
+
+  var index = getLineAt(point, 10 * scale);
+  if (index !== -1) {
+    highlightLine(index);
+    ipc.sendToHost('lineSelected', index);
+  }
+}
+
 /*
               ██       █████  ██    ██ ███████ ██████  ███████
               ██      ██   ██  ██  ██  ██      ██   ██ ██
@@ -127,247 +241,729 @@ $('div#simulator-wrapper').on('mousedown mouseup mousemove', function(e) {
               ███████ ██   ██    ██    ███████ ██   ██ ███████
 == Paper.JS setup for layers and other globals =================================
 ==============================================================================*/
-paper.shadeLayers = [new Layer(), new Layer(), new Layer(), new Layer()];
+// Toggleable overlays of how the bot moves, shown above the batter.
+paper.overlayLayer = new Layer();
+paper.overlays = {
+  travel: new Group({visible: false}), // Moves made with the pump off.
+  pump: new Group({visible: false}), // Where the pump goes on and off.
+  numbers: new Group({visible: false}) // Path numbers at each path start.
+};
+
+paper.markerLayer = new Layer(); // Markers for events like bottle refills.
+paper.highlightLayer = new Layer(); // Move of the GCODE line highlighted.
+
+// Layers of the paths poured between each shade change, in the order poured.
+// Each has data.shade set to the shade index poured, null if not known.
+paper.shadeLayers = [];
 paper.shadeLayers.empty = function() {
-  _.each(this, function(layer) {
-    layer.removeChildren();
-  });
+  _.invoke(this, 'remove');
+  this.length = 0;
+};
+paper.shadeLayers.add = function(shade) {
+  var layer = new Layer({data: {shade: shade}});
+  layer.insertBelow(paper.overlayLayer);
+  this.push(layer);
+  return layer;
 };
 
 paper.sourceLayer = new Layer();
 paper.sourceLayer.visible = false;
 
 paper.cleanup = function() {
+  playback.playing = false;
+  playback.lines = [];
   paper.shadeLayers.empty();
+  _.invoke(paper.overlays, 'removeChildren');
+  paper.markerLayer.removeChildren();
+  paper.highlightLayer.removeChildren();
   paper.sourceLayer.removeChildren();
 };
 
 // UTIL FUNCTIONS ==============================================================
 // =============================================================================
-paper.simulateGCODE = function(gcodeData) {
-  // Prep the shade order/layer.
-  currentShade = 3; // Start at darkest.
-  paper.shadeLayers.empty();
-  paper.shadeLayers[currentShade].activate();
-
-  // Draw all the GCODE into paths.
-  gcodeData = gcodeData.split("\n");
-  _.each(gcodeData, function(line) {
-    drawCodeLine(line);
-  });
+paper.simulateGCODE = function(gcodeData, config) {
+  // Parse with the firmware dialect the GCODE was rendered for.
+  codeActions = dialects.getCodeActions(config.dialect);
+
+  // Time every line, then draw it all up to the end.
+  playback.config = config;
+  playback.lines = gcodeData.split("\n");
+  playback.playing = false;
+  paper.highlightLayer.removeChildren();
+  buildTimeline();
+  resetDrawing();
+  paper.seekPlayback(playback.total);
+  sendPlaybackStatus();
+};
 
-  // If currentShade isn't 0, remap the preview colors to match color order.
-  if (currentShade !== 0) {
-    var maxShades = (3 - currentShade) + 1;
-    for (var i = 0; i <= maxShades; i++) {
-      paper.shadeLayers[3 - i].strokeColor = app.constants.pancakeShades[i];
-    }
+/**
+ * Draw the simulation as it would be at a given bot time, drawing on from
+ * what's already drawn if later, or redrawing from the start if earlier.
+ * @param  {Number} time
+ *   Seconds from the start of the print.
+ */
+paper.seekPlayback = function(time) {
+  time = Math.max(0, Math.min(time, playback.total));
+  if (time < playback.time) resetDrawing();
+  removePartialMove();
+
+  while (playback.index < playback.lines.length &&
+         playback.ends[playback.index] <= time) {
+    drawCodeLine(playback.lines[playback.index]);
+    playback.index++;
   }
+
+  playback.time = time;
+  drawPartialMove();
 };
 
-// Convert an input PancakeBot coordinate to an output Paper.JS mapped coord.
-function reMap(p) {
-  var b = view.bounds;
-  return new Point({
-    x: map(p.x, printArea.l, printArea.x, b.x, b.width),
-    y: map(p.y, printArea.t, printArea.y, b.y, b.height)
-  });
+// Step the playback forward or back by a single GCODE command, drawing it
+// as it is once that command is done.
+function stepPlayback(direction) {
+  var last = getCommandLine(playback.index - 1, -1);
+  if (direction < 0) {
+    last = getCommandLine(last - 1, -1);
+  } else {
+    last = getCommandLine(last + 1, 1);
+    if (last === -1) return;
+  }
+
+  if (last < playback.index - 1) resetDrawing();
+  removePartialMove();
+
+  while (playback.index <= last) {
+    drawCodeLine(playback.lines[playback.index]);
+    playback.index++;
+  }
+
+  playback.time = last === -1 ? 0 : playback.ends[last];
+  drawPartialMove();
 }
 
-// Map a value in a given range to a new range
-function map(x, inMin, inMax, outMin, outMax) {
-  return (x - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
+// Find the index of the nearest GCODE line with a command from the given line
+// index in the given direction, -1 if there isn't one.
+function getCommandLine(index, direction) {
+  for (var i = index; i >= 0 && i < playback.lines.length; i += direction) {
+    if (gcParser.parseLine(playback.lines[i]).code) return i;
+  }
+  return -1;
 }
 
-var lastP;
-var preview = {};
-function drawCodeLine(line) {
-  // Split by comments to remove them, trimmed, upercased then split by space
-  line = line.split(';')[0].trim();
-  line = line.toUpperCase().split(' ');
+// Time every line of the playback GCODE as the bot would run it, noting when
+// each shade change starts and ends.
+function buildTimeline() {
+  var emulator = createEmulator({dialect: playback.config.dialect});
+  var change = null; // Shade change waiting for the next move to end it.
+  var shade = null; // Shade named for the next shade change, if any.
+
+  playback.starts = [];
+  playback.ends = [];
+  playback.positions = [];
+  playback.changes = [];
+  _.each(playback.lines, function(line) {
+    var start = emulator.state.elapsed;
+    var parsed = gcParser.parseLine(line);
+    var action = codeActions[dialects.normalizeWord(parsed.code)];
+    var noteShade = parsed.code ? null : gcParser.getNoteShade(parsed.comment);
+
+    playback.positions.push(emulator.state.pos);
+    emulator.execute(line);
+    playback.starts.push(start);
+    playback.ends.push(emulator.state.elapsed);
+
+    if (noteShade && noteShade.change) shade = noteShade.color;
+
+    // Shade changes last until the bot moves again, after the change wait.
+    if (action === 'change') {
+      change = {start: start, end: null, shade: shade};
+      playback.changes.push(change);
+      shade = null;
+    } else if (change && ['move', 'arccw', 'arcccw'].indexOf(action) > -1) {
+      change.end = start;
+      change = null;
+    }
+  });
 
-  // Shift off the first element as the code, the rest are arguments
-  var code = line.shift();
+  playback.total = emulator.state.elapsed;
+  if (change) change.end = playback.total;
+  playback.groups = playback.changes.length + 1;
+}
 
-  // Parse arguments into an object.
-  var args = {};
-  _.each(line, function(arg) {
-    args[arg[0].toLowerCase()] = parseFloat(arg.substr(1));
-  });
+// Clear the drawing back to the start of the playback.
+function resetDrawing() {
+  printArea = playback.config.printArea;
+  currentShade = null;
+  nextShade = null;
+  lastPos = {x: 0, y: 0}; // Bot always starts at home.
+  lastP = reMap(lastPos);
+  preview = null;
+  pourTime = 0;
+  feedRate = null;
+  run = null;
+  blob = null;
+  runs = [];
+  pumping = false;
+  travel = null;
+  pathNumber = null;
+
+  playback.index = 0;
+  playback.time = 0;
+  playback.merges = 0;
+  playback.travel = 0;
+  playback.pour = 0;
+  playback.path = null;
+  playback.partial = null;
 
-  switch (code) {
-    case 'M106': // Pump ON
-      preview = new Path({
-        strokeWidth: 4,
-        strokeColor: app.constants.pancakeShades[currentShade],
-        strokeCap: 'round',
-        strokeJoin: 'round',
-      });
-      if (lastP) preview.add(lastP);
-      break;
-    case 'M107': // Pump OFF
-      preview = null;
-      break;
-    case 'G1': // Movement speed
-      break;
-    case 'G4': // Pause/Motors Off
-      break;
-    case 'M142': // Bottle change/color change timer
-      currentShade--;
-      paper.shadeLayers[currentShade].activate();
-      break;
-    case 'G00': // X Y Move
-      // Only draw move point if pump is on and there's a point passed to G1
-      if (args.x) {
-        var p = reMap(args);
-        lastP = reMap(args);
-        if (preview) preview.add(p);
-      }
+  paper.shadeLayers.empty();
+  _.invoke(paper.overlays, 'removeChildren');
+  paper.markerLayer.removeChildren();
+  paper.shadeLayers.add(null).activate();
+}
 
-      break;
-    case 'W1': // Workspace Setup
-      printArea = args;
-      break;
-    case 'G28': // Park to 0,0
-      break;
-    default: // We can ignore these: G21, G90, etc
+// Take off the last partial move, for it to be drawn on from.
+function removePartialMove() {
+  if (playback.partial) {
+    playback.partial.lastSegment.remove();
+    playback.partial = null;
   }
 }
 
+// Draw the head part way through the move in progress at the playback time,
+// along with the batter poured so far if pumping.
+function drawPartialMove() {
+  var head = paper.markerLayer.children.head;
+  if (head) head.remove();
+  if (playback.index >= playback.lines.length || !lastP) return;
+
+  var point = lastP;
+  var line = gcParser.parseLine(playback.lines[playback.index]);
+  var action = codeActions[dialects.normalizeWord(line.code)];
+  var start = playback.starts[playback.index];
+  var end = playback.ends[playback.index];
+  if (action === 'move' && line.args.x && end > start) {
+    var to = reMap(line.args);
+    point = lastP.add(to.subtract(lastP).multiply(
+      (playback.time - start) / (end - start)
+    ));
+
+    if (preview) {
+      preview.add(point);
+      playback.partial = preview;
+    }
+  }
+
+  paper.markerLayer.addChild(new Path.Circle({
+    name: 'head',
+    center: point,
+    radius: 6,
+    strokeColor: '#333333',
+    strokeWidth: 2
+  }));
+}
 
-// Convert the given path into a set of fill lines
-paper.fillTracePath = function (fillPath, config) {
-  // 1. Assume line is ALWAYS bigger than the entire object
-  // 2. If filled path, number of intersections will ALWAYS be multiple of 2
-  // 3. Grouping pairs will always yield complete line intersections.
-
-  var lines = [];
-  var line; // The actual line used to find the intersections
-  var boundPath; // The path drawn around the object the line traverses
-
-  var p = fillPath;
-  var angle = config.fillAngle;
-  var groupTheshold = config.fillGroupThreshold;
-  var lineSpacing = config.fillSpacing;
-
-  // Init boundpath and traversal line
-  boundPath = new Path.Ellipse({
-    center: p.position,
-    size: [
-      p.bounds.width + p.bounds.width/Math.PI,
-      p.bounds.height + p.bounds.height/Math.PI
-    ]
+// Send the playback state to the export window.
+function sendPlaybackStatus() {
+  var change = _.find(playback.changes, function(c) {
+    return c.start <= playback.time && playback.time < c.end;
   });
 
-  // Ensure line is far longer than the diagonal of the object
-  line = new Path({
-    segments: [new Point(0, 0), new Point(p.bounds.width + p.bounds.height, 0)]
+  ipc.sendToHost('playbackStatus', {
+    time: playback.time,
+    total: playback.total,
+    playing: playback.playing,
+    line: playback.index - 1,
+    merges: playback.realistic ? playback.merges : null,
+    distance: {travel: playback.travel, pour: playback.pour},
+    path: playback.path,
+    change: change ? {shade: change.shade} : null
   });
+}
+
+// Play on in real time, by the playback speed.
+view.onFrame = function(event) {
+  if (!playback.playing) return;
 
-  // Set start & destination based on input angle
+  var time = playback.time + event.delta * playback.speed;
+  if (time >= playback.total) {
+    time = playback.total;
+    playback.playing = false;
+  }
+  paper.seekPlayback(time);
+  sendPlaybackStatus();
+};
 
-  // Divide the length of the bound ellipse into 1 part per angle
-  var amt = boundPath.length/360;
+/**
+ * Get the path the head takes to run a line of the playback GCODE.
+ * @param  {Number} index
+ *   Index of the GCODE line.
+ * @return {Array}
+ *   Paper.js points the head moves through, a single point if it doesn't
+ *   move, or empty if the line has no command.
+ */
+function getLinePoints(index) {
+  var line = gcParser.parseLine(playback.lines[index]);
+  var action = codeActions[dialects.normalizeWord(line.code)];
+  var from = playback.positions[index];
+  var args = line.args;
+  var points = [from];
+
+  switch (action) {
+    case 'move':
+      points.push({
+        x: isNaN(args.x) ? from.x : args.x,
+        y: isNaN(args.y) ? from.y : args.y
+      });
+      break;
+    case 'arccw':
+    case 'arcccw':
+      points = points.concat(
+        gcParser.getArcPoints(from, args, action === 'arccw', 1)
+      );
+      break;
+    case 'home':
+      points.push({x: 0, y: 0});
+      break;
+    case undefined:
+      if (!line.code) return [];
+  }
 
-  // Find destination position along ellipse and set to tangent angle
-  var pos = amt * (angle + 180);
-  line.position = boundPath.getPointAt(pos);
-  line.rotation = angle + 90;
+  return _.map(points, reMap);
+}
 
-  // Find destination position on other side of circle
-  pos = angle + 360;  if (pos > 360) pos -= 360;
-  var destination = boundPath.getPointAt(pos * amt);
+// Highlight the path the head takes to run a line of the playback GCODE.
+function highlightLine(index) {
+  paper.highlightLayer.removeChildren();
+  var points = getLinePoints(index);
+  if (!points.length) return;
+
+  paper.highlightLayer.addChild(new Path.Circle({
+    center: _.last(points),
+    radius: 6,
+    fillColor: '#e83e8c'
+  }));
+
+  if (points.length > 1) {
+    paper.highlightLayer.addChild(new Path({
+      segments: points,
+      strokeColor: '#e83e8c',
+      strokeWidth: 4,
+      strokeCap: 'round',
+      strokeJoin: 'round'
+    }));
+  }
+}
 
-  // Find vector and vector length divided by line spacing to get # iterations.
-  var vector = destination - line.position;
-  var iterations = vector.length / lineSpacing;
+/**
+ * Find the GCODE line that moved the head nearest to a point, out of those
+ * drawn so far.
+ * @param  {Paper.Point} point
+ *   Point clicked on the simulation.
+ * @param  {Number} tolerance
+ *   Furthest the move can be from the point.
+ * @return {Number}
+ *   Index of the GCODE line, -1 if no move was near enough.
+ */
+function getLineAt(point, tolerance) {
+  var nearest = -1;
+  for (var i = 0; i < playback.index; i++) {
+    var points = getLinePoints(i);
+    for (var p = 1; p < points.length; p++) {
+      var gap = getSegmentGap(point, points[p - 1], points[p]);
+      if (gap <= tolerance) {
+        nearest = i;
+        tolerance = gap;
+      }
+    }
+  }
+  return nearest;
+}
 
-  // Move through calculated iterations for given spacing
-  for(var i = 0; i <= iterations; i++) {
-    var ints = line.getIntersections(p);
+// Get the distance from a point to the nearest point on a line segment.
+function getSegmentGap(point, from, to) {
+  var line = to.subtract(from);
+  var length = line.dot(line);
+  var t = length ? point.subtract(from).dot(line) / length : 0;
+  t = Math.max(0, Math.min(1, t));
+  return point.getDistance(from.add(line.multiply(t)));
+}
 
-    if (ints.length % 2 === 0) { // If not dividable by 2, we don't want it!
-      for (var x = 0; x < ints.length; x+=2) {
-        var groupingID = findGroup(ints[x].point, lines, groupTheshold);
+// Get the preview color for the shade being poured. Without notes naming the
+// shades (EG bot recordings), the shades used are shown lightest first, or
+// darkest first if all four are used.
+function getShadeColor() {
+  var shade = currentShade;
+  if (shade === null) {
+    var index = paper.shadeLayers.length - 1;
+    shade = playback.groups < 4 ? index : Math.max(3 - index, 0);
+  }
+  return app.constants.pancakeShades[Math.min(shade, 3)];
+}
 
-        var y = new Path({
-          segments: [ints[x].point, ints[x+1].point],
-          data: {color: p.data.color}
-        });
+// Start drawing the batter poured from the last position, as an ideal fixed
+// width line, or as wide as it would spread at the current feed rate.
+function startBead() {
+  var width = 4;
+  if (playback.realistic) width = getBeadWidth(feedRate) * getPxPerMM();
+
+  preview = new Path({
+    strokeWidth: width,
+    strokeColor: getShadeColor(),
+    strokeCap: 'round',
+    strokeJoin: 'round',
+    data: {reach: width / 2}
+  });
+  if (lastP) preview.add(lastP);
+}
 
-        if (!lines[groupingID]) lines[groupingID] = [];
-        lines[groupingID].push(y);
-      }
-    }
+// Finish the realistic batter line being drawn, adding it to the run.
+function endBead() {
+  if (preview.segments.length > 1) {
+    run.items.push(preview);
+  } else {
+    preview.remove();
+  }
+  preview = null;
+}
 
-    line.position+= vector / iterations;
+// Draw the realistic puddle of batter poured while waiting in place.
+function pourBlob() {
+  if (blob) {
+    blob.remove();
+    run.items = _.without(run.items, blob);
   }
 
-  // Combine lines within position similarity groupings
-  var skippedJoins = 0;
-  for (var g in lines) {
-    var l = lines[g][0];
+  var radius = getBlobRadius(pourTime) * getPxPerMM();
+  blob = new Path.Circle({
+    center: lastP,
+    radius: radius,
+    fillColor: getShadeColor(),
+    data: {reach: radius, blob: true}
+  });
+  run.items.push(blob);
+}
 
-    for (i = 1; i < lines[g].length; i++) {
-      // Don't join lines that cross outside the path
-      var v = new Path({
-        segments: [l.lastSegment.point, lines[g][i].firstSegment.point]
-      });
+/**
+ * Get the width batter spreads to when poured while moving. The pump pours at
+ * a steady rate, so slower moves lay down more batter per MM. Batter poured at
+ * the render speed is taken to spread to the shape fill width, and keeps its
+ * cross section shape as it gets wider or thinner.
+ * @param  {Number} rate
+ *   Feed rate in MM per minute, the render speed if not given.
+ * @return {Number}
+ *   Width of the batter line in MM.
+ */
+function getBeadWidth(rate) {
+  var c = playback.config;
+  return c.shapeFillWidth * Math.sqrt(c.botSpeed / (rate || c.botSpeed));
+}
 
+/**
+ * Get the size of the puddle poured while waiting in place. It holds as much
+ * batter as a line poured at the render speed for the same time, spread as
+ * thin as that line.
+ * @param  {Number} time
+ *   Milliseconds poured for.
+ * @return {Number}
+ *   Radius of the puddle in MM.
+ */
+function getBlobRadius(time) {
+  var c = playback.config;
+  var area = c.shapeFillWidth * c.botSpeed / 60000 * time;
+  return Math.sqrt(area / Math.PI);
+}
+
+/**
+ * Flag where a realistic batter run merges with runs poured before it. Runs
+ * of the same path, and fills with lines of the same shade, are meant to meet
+ * so aren't flagged.
+ * @param  {Object} newRun
+ *   Batter run just poured, keyed by the "id" of the path poured, "fill",
+ *   "color" and the batter line & puddle "items".
+ */
+function flagMerges(newRun) {
+  var others = _.filter(runs, function(r) {
+    var meant = r.color === newRun.color && (r.fill || newRun.fill);
+    return r.id !== newRun.id && !meant;
+  });
+  var items = _.flatten(_.pluck(others, 'items'));
+
+  _.each(newRun.items, function(item) {
+    var reach = item.data.reach;
+    var near = _.filter(items, function(other) {
+      return item.strokeBounds.intersects(other.strokeBounds);
+    });
+    if (!near.length) return;
+
+    // Merged points next to each other are flagged as a single region.
+    var region = [];
+    _.each(getSamplePoints(item), function(point) {
+      var merged = _.some(near, function(other) {
+        return getGap(point, other) < reach;
+      });
 
-      // Find a point halfway between where these lines would be connected
-      // If it's not within the path, don't do it!
-      var intersectionCount = v.getIntersections(p).length;
-      if (!p.contains(v.getPointAt(v.length/2)) || intersectionCount > 3) {
-        // Not contained, store the previous l & start a new grouping;
-        l = lines[g][i];
-        skippedJoins++;
+      if (merged) {
+        region.push(point);
       } else {
-        l.join(lines[g][i]);
+        addMerge(region, reach);
+        region = [];
       }
+    });
+    addMerge(region, reach);
+  });
+}
 
-      // Remove our test line
-      v.remove();
-    }
+// Get points along a realistic batter item to check for merges at, no further
+// apart than the batter reaches either side.
+function getSamplePoints(item) {
+  if (item.data.blob) return [item.position];
+
+  var step = Math.max(item.data.reach, 1);
+  var points = [];
+  for (var offset = 0; offset < item.length; offset += step) {
+    points.push(item.getPointAt(offset));
   }
+  points.push(item.lastSegment.point);
+  return points;
+}
 
-  fillPath.remove(); // Remove the original fill path when we're done.
-  line.remove();
-  boundPath.remove();
+// Get the distance from a point to the edge of a realistic batter item.
+function getGap(point, item) {
+  var center = item.data.blob ? item.position : item.getNearestPoint(point);
+  return point.getDistance(center) - item.data.reach;
+}
 
-  view.update();
-};
+// Mark a region of batter that merges, given the points along it.
+function addMerge(region, reach) {
+  if (!region.length) return;
+
+  playback.merges++;
+  if (region.length === 1) {
+    paper.markerLayer.addChild(new Path.Circle({
+      center: region[0],
+      radius: reach + 2,
+      fillColor: '#d9534f',
+      opacity: 0.5
+    }));
+  } else {
+    paper.markerLayer.addChild(new Path({
+      segments: region,
+      strokeColor: '#d9534f',
+      strokeWidth: reach * 2 + 4,
+      strokeCap: 'round',
+      strokeJoin: 'round',
+      opacity: 0.5
+    }));
+  }
+}
 
-// Find which grouping a given fill path should go with
-function findGroup(testPoint, lines, newGroupThresh){
-  // If we don't have any groups yet.. return 0
-  if (lines.length === 0) {
-    return 0;
+// Add the MM length of a move to the pour or travel distance.
+function addDistance(length) {
+  if (pumping) {
+    playback.pour += length;
+  } else {
+    playback.travel += length;
   }
+}
 
-  // 1. We go in order, which means the first segment point of the last
-  //    line in each group is the one to check distance against
-  // 2. Compare each, use the shortest...
-  // 3. ...unless it's above the new group threshold, then return a group id
+// Draw a move made with the pump off to a point on the travel overlay.
+function addTravel(point) {
+  if (pumping || !lastP) return;
+
+  if (!travel) {
+    travel = new Path({
+      segments: [lastP],
+      strokeColor: '#5bc0de',
+      strokeWidth: 1.5,
+      dashArray: [6, 4]
+    });
+    paper.overlays.travel.addChild(travel);
+  }
+  travel.add(point);
+}
 
-  var vector = -1;
-  var bestVector = newGroupThresh;
-  var groupID = 0;
-  for (var i = 0; i < lines.length; i++) {
-    vector = lines[i][lines[i].length-1].firstSegment.point - testPoint;
+// Mark the pump going on or off at the last position on the pump overlay.
+function markPump(on) {
+  if (!lastP) return;
+
+  paper.overlays.pump.addChild(new Path.Circle({
+    center: lastP,
+    radius: on ? 4 : 5,
+    fillColor: on ? '#5cb85c' : null,
+    strokeColor: on ? null : '#d9534f',
+    strokeWidth: 2
+  }));
+}
 
-    if (vector.length < bestVector) {
-      groupID = i;
-      bestVector = vector.length;
-    }
+// Get the number of view pixels per MM on the bot.
+function getPxPerMM() {
+  return view.bounds.width / Math.abs(printArea.l - printArea.x);
+}
+
+// Convert an input PancakeBot coordinate to an output Paper.JS mapped coord.
+function reMap(p) {
+  var b = view.bounds;
+  return new Point({
+    x: map(p.x, printArea.l, printArea.x, b.x, b.width),
+    y: map(p.y, printArea.t, printArea.y, b.y, b.height)
+  });
+}
+
+// Map a value in a given range to a new range
+function map(x, inMin, inMax, outMin, outMax) {
+  return (x - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
+}
+
+function drawCodeLine(line) {
+  // Parse the line into the command code word and the arguments object, any
+  // line number prefix and checksum suffix are stripped off.
+  line = gcParser.parseLine(line);
+  var code = line.code;
+  var args = line.args;
+
+  // Notes from the renderer name the shade poured, and the next shade changed
+  // to, as they're poured in the chosen order.
+  var noteShade = code ? null : gcParser.getNoteShade(line.comment);
+  if (noteShade && noteShade.change) {
+    nextShade = noteShade.color;
+  } else if (noteShade) {
+    currentShade = noteShade.color;
+    _.last(paper.shadeLayers).data.shade = currentShade;
+  }
+
+  // Keep track of the path being poured for the playback status.
+  var notePath = code ? null : gcParser.getNotePath(line.comment);
+  if (notePath) {
+    playback.path = notePath;
+    pathNumber = notePath.number;
   }
 
-  // Check if we went over the threshold, make a new group!
-  if (bestVector === newGroupThresh) {
-    groupID = lines.length;
+  // Mark bottle refill pauses where the last path ended.
+  if (!code && gcParser.getNoteRefill(line.comment) !== null && lastP) {
+    paper.markerLayer.addChild(new Path.Circle({
+      center: lastP,
+      radius: 12,
+      strokeColor: '#d9534f',
+      strokeWidth: 3,
+      dashArray: [6, 4]
+    }));
   }
 
-  return groupID;
+  // Match the command word to what it does in the current dialect.
+  var action = codeActions[dialects.normalizeWord(code)];
+  switch (action) {
+    case 'pumpon': // Pump ON
+      if (playback.realistic) {
+        run = {
+          id: playback.path ? playback.path.number : 'run' + runs.length,
+          fill: !!playback.path && playback.path.type === 'fill',
+          color: getShadeColor(),
+          items: []
+        };
+      }
+      startBead();
+      pourTime = 0;
+      pumping = true;
+      travel = null;
+      markPump(true);
+
+      if (pathNumber !== null && lastP) {
+        paper.overlays.numbers.addChild(new PointText({
+          point: lastP.add([6, -6]),
+          content: pathNumber,
+          fillColor: '#333333',
+          fontSize: 12,
+          fontWeight: 'bold'
+        }));
+      }
+      pathNumber = null;
+      break;
+    case 'pumpoff': // Pump OFF
+      pumping = false;
+      markPump(false);
+      if (run) {
+        if (preview) endBead();
+        flagMerges(run);
+        runs.push(run);
+        run = null;
+        blob = null;
+      } else if (preview && preview.segments.length === 1 && pourTime) {
+        // Pumping without moving pours a dot, sized by how long it poured.
+        preview.remove();
+        new Path.Circle({
+          center: lastP,
+          radius: 4 * Math.sqrt(pourTime / ac.dotDwell),
+          fillColor: getShadeColor(),
+          data: {dot: true}
+        });
+      }
+      preview = null;
+      break;
+    case 'speed': // Movement speed
+      if (!isNaN(args.f)) feedRate = args.f;
+
+      // Batter poured at the new speed spreads to a new width.
+      if (run && preview) {
+        endBead();
+        startBead();
+      }
+      break;
+    case 'wait': // Pause/Motors Off
+      if (preview && !isNaN(args.p)) {
+        pourTime += args.p;
+        if (run && lastP) pourBlob();
+      }
+      break;
+    case 'change': // Bottle change/color change timer
+      currentShade = nextShade;
+      nextShade = null;
+      paper.shadeLayers.add(currentShade).activate();
+      break;
+    case 'move': // X Y Move
+      // Only draw move point if pump is on and there's a point passed to G1
+      if (args.x) {
+        var p = reMap(args);
+        addDistance(lastPos ? Math.sqrt(
+          Math.pow(args.x - lastPos.x, 2) + Math.pow(args.y - lastPos.y, 2)
+        ) : 0);
+        addTravel(p);
+        lastP = reMap(args);
+        lastPos = args;
+        pourTime = 0;
+        blob = null;
+        if (preview) preview.add(p);
+      }
+
+      break;
+    case 'arccw': // Clockwise arc move
+    case 'arcccw': // Counter-clockwise arc move
+      // Draw the arc as 1mm steps from wherever the last move ended.
+      if (lastPos) {
+        var clockwise = action === 'arccw';
+        addDistance(gcParser.getArc(lastPos, args, clockwise).length);
+        _.each(gcParser.getArcPoints(lastPos, args, clockwise, 1), function(p) {
+          addTravel(reMap(p));
+          lastP = reMap(p);
+          lastPos = p;
+          if (preview) preview.add(lastP);
+        });
+        pourTime = 0;
+        blob = null;
+      }
+      break;
+    case 'workspace': // Workspace Setup
+      printArea = gcParser.getWorkspace(args) || printArea;
+      break;
+    case 'home': // Park to 0,0
+      var home = {x: 0, y: 0};
+      if (lastPos) {
+        addDistance(Math.sqrt(Math.pow(lastPos.x, 2) + Math.pow(lastPos.y, 2)));
+        addTravel(reMap(home));
+        lastP = reMap(home);
+        lastPos = home;
+      }
+      break;
+    default: // We can ignore these: G21, G90, etc
+  }
 }
 
 $(window).resize();
@@ -0,0 +1,71 @@
+/**
+ * @file Tool definition for the PC dot tool. Places single pour points, for
+ * eyes, freckles and sprinkles, sized by dragging out from the center.
+ **/
+/*globals app */
+"use strict";
+
+module.exports = function(paper) {
+  var tool = new paper.Tool();
+
+  // Constant tool tweaks
+  var minRadius = paper.strokeWidth; // Radius of the smallest dot placed.
+
+  // Paper global extenders
+  var Path = paper.Path;
+
+  // Handy internal vars
+  var dot = null;
+
+  // Tool identification (for building out tool palette)
+  tool.name = 'tools.dot';
+  tool.key = 'dot';
+  tool.cursorOffset = '16 16'; // Position for cursor point
+  tool.cursorColors = true; // Different icons/cursor for each color?
+
+  // Don't allow undo while placing a dot.
+  tool.undoSet = function() {
+    return !dot;
+  };
+
+  tool.onMouseDown = function(event) {
+    if (event.event.button !== 0) return;
+
+    dot = new Path.Circle({
+      center: event.point,
+      radius: minRadius,
+      fillColor: paper.pancakeShades[paper.pancakeCurrentShade],
+      data: {color: paper.pancakeCurrentShade, dot: true}
+    });
+    paper.setDotDwell(dot);
+  };
+
+  tool.onMouseDrag = function(event) {
+    if (!dot) return;
+
+    // Size the dot to reach the mouse, keeping its center.
+    var radius = event.point.subtract(dot.position).length;
+    dot.scale(Math.max(radius, minRadius) / (dot.bounds.width / 2));
+  };
+
+  tool.onMouseUp = function() {
+    if (!dot) return;
+
+    paper.setDotDwell(dot);
+    dot = null;
+    paper.fileChanged();
+  };
+
+  /**
+   * Set the time a dot pours for from its size, so the batter poured covers
+   * the dot's area.
+   * @param  {Paper.Path} item
+   *   Dot path item, with data.dot set.
+   */
+  paper.setDotDwell = function(item) {
+    var area = Math.pow(item.bounds.width / 2 / minRadius, 2);
+    item.data.dwell = Math.round(app.constants.dotDwell * area);
+  };
+
+  return tool;
+};
@@ -37,6 +37,7 @@ module.exports = function(paper) {
       paper.selectRectLast = paper.selectRect;
       paper.selectRect.remove();
       paper.selectRect = null;
+      selectionChanged();
 
       // Complete imageTraceMode if we're deselecting.
       if (paper.imageTraceMode && !noFinish) {
@@ -51,6 +52,7 @@ module.exports = function(paper) {
       project.activeLayer.addChild(paper.selectRectLast);
       paper.selectRect = paper.selectRectLast;
       paper.selectRectLast = null;
+      selectionChanged();
     }
   };
 
@@ -199,8 +201,9 @@ module.exports = function(paper) {
       return;
     }
 
-    // If not while multi selecting...
-    if (!clickResult.multiSelect && !clickResult.pickingSelectRect) {
+    // If not while multi selecting... (dots are only moved & scaled whole)
+    if (!clickResult.multiSelect && !clickResult.pickingSelectRect &&
+        !path.data.dot) {
       // Clicking on a path node segment:
       if (clickResult.type === 'segment') {
         // Remove segment on shift click only on selected item.
@@ -262,6 +265,7 @@ module.exports = function(paper) {
       _.each(paper.selectRect.ppaths, function(path){
         path.scale(1/lastScaleRatio, paper.selectRect.bounds.center);
         path.scale(ratio, paper.selectRect.bounds.center);
+        if (path.data.dot) paper.setDotDwell(path);
       });
 
       lastScaleRatio = ratio;
@@ -361,6 +365,9 @@ module.exports = function(paper) {
   };
 
   tool.onKeyDown = function (event) {
+    // Keys typed into the path properties panel aren't for the selection.
+    if (event.event.target.nodeName === 'INPUT') return;
+
     if (paper.selectRect) {
 
       // Nudge selected objects.
@@ -453,6 +460,12 @@ module.exports = function(paper) {
     paper.selectRect.ppath = path;
     paper.selectRect.ppaths = [path];
     paper.selectRect.ppath.pivot = paper.selectRect.pivot;
+    selectionChanged();
+  }
+
+  // Let the editor know the selection has changed, @see app.js
+  function selectionChanged() {
+    if (paper.selectionChanged) paper.selectionChanged();
   }
 
 
@@ -567,6 +580,7 @@ module.exports = function(paper) {
     _.each(paper.selectRect.ppaths, function(p) {
       p.pivot = paper.selectRect.pivot;
     });
+    selectionChanged();
   }
 
   // Select all top level items.
@@ -6,7 +6,14 @@
  * We have full access to globals loaded in the mainWindow as needed, just
  * reference them below.
  **/
-/* globals window, mainWindow, app, $, paper, i18n, fs, toastr, path */
+/* globals window, mainWindow, app, $, _, paper, i18n, fs, toastr, path */
+
+var renderSettings = require('../settings');
+var dialects = require('../gcode.dialects');
+var estimator = require('../gcode.estimate');
+var transports = require('../gcode.transports');
+var createSpooler = require('../gcode.spooler');
+var parser = require('../gcode.parser');
 
 module.exports = function(context) {
   var exportData = {
@@ -15,32 +22,81 @@ module.exports = function(context) {
     renderUpdateRunning: false, // Whether we're currently rendering an update.
     renderConfig: {}, // Placeholder for render config passover from settings.
     gcode: "", // Placeholder for exported GCODE.
+    gcodeSplit: null, // Split export GCODE parts, @see gcode.js split.
+    viewerLines: [], // Lines of the GCODE shown in the line viewer.
+    selectedSource: null, // Drawing item ID of the selected line's path.
     filePath: "", // Export final data write path.
+    outOfBounds: [], // Drawing items not entirely within the printable area.
+    clipToBounds: false, // Whether the user chose to clip outOfBounds items.
+    spooler: null, // Direct print job spooler, while printing.
   };
 
   var $loadingBar = $('.loader', context);
+  var $viewer = $('.gcode-viewer', context);
 
   /**
    * Initialize the renderConfig object for GCODE export with static constants.
    */
   function initRenderConfig() {
-    var ac = app.constants;
     exportData.renderConfig = {
-      printArea: { // Print area limitations (in 1 MM increments)
-        x: ac.printableArea.offset.right,
-        t: 0,
-        l: ac.printableArea.width + ac.printableArea.offset.right,
-        y: ac.printableArea.height
-      },
+      printArea: renderSettings.getPrintArea(app.constants),
       version: app.getVersion() // Application version written to GCODE header
     };
   }
 
+  /**
+   * Add the available firmware dialect profiles to the dialect select field.
+   */
+  function buildDialectOptions() {
+    var $select = $('#dialect', context);
+    _.each(_.keys(dialects.profiles), function(id) {
+      $select.append(
+        $('<option>').val(id).text(i18n.t('settings.gcode.dialects.' + id))
+      );
+    });
+  }
+
+  /**
+   * Build the pour order list from the pour order setting, with buttons to
+   * move each group earlier or later.
+   */
+  function buildPourOrder() {
+    var $input = $('#pourorder', context);
+    var order = renderSettings.getPourOrder($input.val());
+    var $list = $('ol.pourorder', context).empty();
+
+    _.each(order, function(name, index) {
+      var parts = name.split('-'); // EG "color3-fill".
+      var $item = $('<li>').text(
+        i18n.t('settings.gcode.pourgroups.' + parts[1], {
+          shade: i18n.t('color.' + parts[0])
+        })
+      );
+
+      // Floated right, so the down button comes first to be shown last.
+      _.each({down: [1, '\u25BC'], up: [-1, '\u25B2']}, function(btn, dir) {
+        var swap = index + btn[0];
+        if (swap < 0 || swap >= order.length) return;
+
+        $item.append($('<button>').text(btn[1]).attr(
+          'title', i18n.t('settings.gcode.pourgroups.' + dir)
+        ).click(function() {
+          order[index] = order[swap];
+          order[swap] = name;
+          $input.val(order.join(',')).change();
+        }));
+      });
+
+      $list.append($item);
+    });
+  }
+
   /**
    * Bind change on the non-managed inputs to trigger setRenderSettings.
    */
   function bindSettings() {
-    $('input:not(.settings-managed)', context).change(function() {
+    var $inputs = $('input:not(.settings-managed)', context);
+    $inputs.not('.printer input, .overlays input').change(function() {
       exportData.setRenderSettings();
     });
   }
@@ -71,6 +127,77 @@ module.exports = function(context) {
         case 'export':
           exportData.saveData();
           break;
+
+        case 'print':
+          $('.printer', context).toggle();
+          listPorts();
+          break;
+
+        case 'printer-refresh':
+          listPorts();
+          break;
+
+        case 'printer-start':
+          exportData.print();
+          break;
+
+        case 'printer-pause':
+          exportData.spooler.pause();
+          break;
+
+        case 'printer-resume':
+          exportData.spooler.resume();
+          break;
+
+        case 'printer-abort':
+          exportData.spooler.abort();
+          break;
+
+        case 'printer-recording':
+          viewRecording();
+          break;
+
+        case 'preflight-select':
+          selectInEditor(exportData.outOfBounds);
+          break;
+
+        case 'preflight-clip':
+          exportData.clipToBounds = true;
+          $('.preflight', context).addClass('clipped');
+          updateExportButton();
+          exportData.setRenderSettings();
+          break;
+
+        case 'preflight-abort':
+          mainWindow.overlay.toggleWindow('export', false);
+          break;
+
+        case 'playback-play':
+          exportData.$webview.send.playback('play');
+          break;
+
+        case 'playback-pause':
+          exportData.$webview.send.playback('pause');
+          break;
+
+        case 'playback-back':
+          exportData.$webview.send.playback('step', -1);
+          break;
+
+        case 'playback-forward':
+          exportData.$webview.send.playback('step', 1);
+          break;
+
+        case 'select-source':
+          var item = _.find(paper.mainLayer.children, function(item) {
+            return item.data.id === exportData.selectedSource;
+          });
+          mainWindow.overlay.toggleWindow('export', false);
+          if (item) {
+            $('#tool-select').click();
+            paper.selectPath(item);
+          }
+          break;
       }
     });
 
@@ -83,6 +210,236 @@ module.exports = function(context) {
     });
   }
 
+  /**
+   * Bind the simulation playback speed and timeline scrubber.
+   */
+  function bindPlayback() {
+    var $playback = $('.playback', context);
+    var $timeline = $('progress', $playback);
+    var scrubbing = false;
+
+    $('select[name=playback-speed]', $playback).change(function() {
+      exportData.$webview.send.playback('speed', parseFloat(this.value));
+    });
+
+    $('select[name=playback-view]', $playback).change(function() {
+      exportData.$webview.send.playback('view', this.value);
+    });
+
+    // Click or drag along the timeline to jump to that point in the print.
+    function scrub(e) {
+      var x = (e.pageX - $timeline.offset().left) / $timeline.width();
+      var time = Math.max(0, Math.min(1, x)) * $timeline.attr('max');
+      exportData.$webview.send.playback('seek', time);
+    }
+
+    // Clicking a GCODE line highlights its move in the simulation.
+    $viewer.on('click', 'li', function() {
+      selectLine($(this).index());
+      exportData.$webview.send.playback('highlight', $(this).index());
+    });
+
+    $('.overlays input', context).change(function() {
+      exportData.$webview.send.playback('overlays', getOverlays());
+    });
+
+    $timeline.mousedown(function(e) {
+      scrubbing = true;
+      scrub(e);
+    });
+    $(window).mousemove(function(e) {
+      if (scrubbing) scrub(e);
+    }).mouseup(function() {
+      scrubbing = false;
+    });
+  }
+
+  /**
+   * Get which simulation overlays are switched on.
+   * @return {Object}
+   *   Whether each overlay is visible, keyed by overlay name.
+   */
+  function getOverlays() {
+    var overlays = {};
+    $('.overlays input', context).each(function() {
+      overlays[this.name] = this.checked;
+    });
+    return overlays;
+  }
+
+  /**
+   * Show the simulation playback state.
+   * @param  {Object} status
+   *   Playback status object from the simulator, keyed by "time" and "total"
+   *   (in seconds), "playing", "path" (last path started, if any),
+   *   "line" (index of the last GCODE line drawn), "merges" (places batter
+   *   merges so far, null in the ideal view),
+   *   "distance" (object with the "travel" and "pour" MM moved so far) and
+   *   "change" (object with the "shade" being changed to, while changing).
+   */
+  function updatePlayback(status) {
+    var $playback = $('.playback', context);
+
+    $('progress', $playback).attr('max', status.total || 1).val(status.time);
+    $('button[name=playback-play]', $playback).toggle(!status.playing);
+    $('button[name=playback-pause]', $playback).toggle(status.playing);
+    $('.time', $playback).text(i18n.t('export.playback.time', {
+      time: formatTime(status.time),
+      total: formatTime(status.total)
+    }));
+    $('.path', $playback).text(
+      status.path ? i18n.t('export.playback.path', status.path) : ''
+    );
+    $('.merges', $playback).text(status.merges ?
+      i18n.t('export.playback.merges', {count: status.merges}) : ''
+    );
+    $('.overlays .distance', context).text(status.distance ?
+      i18n.t('export.overlays.distance', {
+        travel: Math.round(status.distance.travel),
+        pour: Math.round(status.distance.pour)
+      }) : ''
+    );
+
+    // Follow the last line drawn in the GCODE viewer.
+    var line = $viewer[0].children[status.line];
+    if (line && !$(line).is('.current')) {
+      $('li.current', $viewer).removeClass('current');
+      scrollToLine($(line).addClass('current'));
+    }
+
+    var $change = $('.interstitial', context).toggle(!!status.change);
+    if (status.change && status.change.shade !== null) {
+      $change.text(i18n.t('export.playback.change', {
+        shade: i18n.t('color.color' + status.change.shade)
+      }));
+    } else if (status.change) {
+      $change.text(i18n.t('export.playback.changeunknown'));
+    }
+  }
+
+  /**
+   * Show GCODE in the line viewer, with the command words, arguments, line
+   * numbers & checksums and comments highlighted.
+   * @param  {String} gcode
+   *   Full GCODE text, as simulated.
+   */
+  function showGcode(gcode) {
+    exportData.viewerLines = gcode.split("\n");
+    selectLine(-1);
+    $viewer.html(_.map(exportData.viewerLines, function(line) {
+      var parts = line.split(';');
+      var words = parts[0].split(' ');
+      var command = true; // Whether the next word is the command word.
+      var html = _.map(words, function(word) {
+        var type = 'arg';
+        if (/^N\d+$/.test(word) || word.indexOf('*') !== -1) {
+          type = 'number';
+        } else if (command && word) {
+          type = 'word';
+          command = false;
+        }
+        return '<span class="' + type + '">' + _.escape(word) + '</span>';
+      });
+
+      if (parts.length > 1) {
+        html.push(
+          '<span class="comment">;' + _.escape(parts.slice(1).join(';')) +
+          '</span>'
+        );
+      }
+      return '<li>' + html.join(' ') + '</li>';
+    }).join(''));
+  }
+
+  /**
+   * Select a line in the GCODE viewer, scrolling it into view, and allow
+   * selecting the drawing item its path was made from.
+   * @param  {Number} index
+   *   Index of the GCODE line, -1 to select nothing.
+   */
+  function selectLine(index) {
+    $('li.selected', $viewer).removeClass('selected');
+    var line = $viewer[0].children[index];
+    if (line) scrollToLine($(line).addClass('selected'));
+
+    var path = null;
+    if (index !== -1) path = parser.getLinePath(exportData.viewerLines, index);
+    exportData.selectedSource = path ? path.source : null;
+    $('button[name=select-source]', context)
+      .prop('disabled', exportData.selectedSource === null);
+  }
+
+  /**
+   * Scroll the GCODE viewer to center a line, if it's out of view.
+   * @param  {jQuery} $line
+   *   Line item in the viewer.
+   */
+  function scrollToLine($line) {
+    var top = $line.position().top;
+    var height = $viewer.height();
+    if (top < 0 || top + $line.height() > height) {
+      $viewer.scrollTop($viewer.scrollTop() + top - height / 2);
+    }
+  }
+
+  /**
+   * Find the drawing items that aren't entirely within the printable area.
+   * @return {Array}
+   *   List of out of bounds Paper.js items on the drawing layer.
+   */
+  function getOutOfBounds() {
+    var bounds = new paper.Rectangle(
+      renderSettings.getSourceBounds(app.constants)
+    );
+    return _.filter(paper.mainLayer.children, function(item) {
+      return !bounds.contains(item.bounds);
+    });
+  }
+
+  /**
+   * Run the preflight bounds check, listing any out of bounds items found.
+   */
+  function preflight() {
+    exportData.outOfBounds = getOutOfBounds();
+    exportData.clipToBounds = false;
+
+    var $preflight = $('.preflight', context).removeClass('clipped');
+    var $list = $('ul', $preflight).empty();
+    _.each(exportData.outOfBounds, function(item) {
+      var type = item.data.dot ? 'dot' : (item.data.fill ? 'fill' : 'stroke');
+      $list.append($('<li>').append(
+        $('<a>').text(i18n.t('export.preflight.' + type, {
+          shade: i18n.t('color.color' + item.data.color)
+        })).click(function() {
+          selectInEditor([item]);
+        })
+      ));
+    });
+
+    $preflight.toggle(exportData.outOfBounds.length > 0);
+    updateExportButton();
+  }
+
+  /**
+   * Only allow export when nothing is out of bounds, or it is being clipped.
+   */
+  function updateExportButton() {
+    $('button[name=export], button[name=printer-start]', context).prop(
+      'disabled',
+      exportData.outOfBounds.length > 0 && !exportData.clipToBounds
+    );
+  }
+
+  /**
+   * Close the export window and select the given items in the editor.
+   * @param  {Array} items
+   *   List of Paper.js items on the drawing layer to select.
+   */
+  function selectInEditor(items) {
+    mainWindow.overlay.toggleWindow('export', false);
+    paper.selectAll(items);
+  }
+
   /**
    * Initialize the webview allowing multiprocess rendering.
    */
@@ -98,11 +455,23 @@ module.exports = function(context) {
     // Send message handlers TO app.
     exportData.$webview.send = {
       loadInit: function() {
+        paper.setItemIDs(); // Paths are noted with the ID of their source item.
         wv.send('loadInit', paper.mainLayer.exportJSON());
       },
       renderTrigger: function() {
         wv.send('renderTrigger', exportData.renderConfig);
       },
+      simulate: function(gcode) {
+        var rc = exportData.renderConfig;
+        showGcode(gcode);
+        var dialect = parser.getHeaderSetting(gcode, 'dialect');
+        wv.send('simulateTrigger', gcode, _.extend({}, rc, {
+          dialect: dialect || rc.dialect
+        }));
+      },
+      playback: function(command, value) {
+        wv.send('playback', command, value);
+      },
       cleanup: function() {
         wv.send('cleanup');
       }
@@ -117,6 +486,13 @@ module.exports = function(context) {
           // Only run on first window init.
           exportData.simulatorLoaded = true;
           exportData.$webview.send.loadInit();
+          exportData.$webview.send.playback(
+            'speed', parseFloat($('select[name=playback-speed]', context).val())
+          );
+          exportData.$webview.send.playback(
+            'view', $('select[name=playback-view]', context).val()
+          );
+          exportData.$webview.send.playback('overlays', getOverlays());
           exportData.$webview.css('opacity', 1);
           break;
         case 'initLoaded':
@@ -126,6 +502,15 @@ module.exports = function(context) {
         case 'renderComplete':
           renderUpdateComplete();
           exportData.gcode = data;
+          exportData.gcodeSplit = event.args[1];
+          showGcode(data);
+          updateEstimate();
+          break;
+        case 'playbackStatus':
+          updatePlayback(data);
+          break;
+        case 'lineSelected':
+          selectLine(data);
           break;
       }
     });
@@ -135,62 +520,280 @@ module.exports = function(context) {
     });
   }
 
+  /**
+   * Format a number of seconds as minutes and seconds, EG "2:05".
+   * @param  {Number} seconds
+   * @return {String}
+   */
+  function formatTime(seconds) {
+    seconds = Math.round(seconds);
+    var s = seconds % 60;
+    return Math.floor(seconds / 60) + ':' + (s < 10 ? '0' : '') + s;
+  }
+
+  /**
+   * Build an estimate table row for the given totals.
+   * @param  {String} name
+   *   Name for the first column.
+   * @param  {Object} totals
+   *   Totals object, @see gcode.estimate.js
+   * @return {jQuery}
+   *   The new table row.
+   */
+  function estimateRow(name, totals) {
+    var cells = [
+      name,
+      formatTime(totals.travelTime),
+      formatTime(totals.pourTime),
+      formatTime(totals.dwellTime),
+      i18n.t('export.estimate.meters', {
+        value: (totals.pourLength / 1000).toFixed(2)
+      }),
+      i18n.t('export.estimate.milliliters', {value: totals.volume.toFixed(1)}),
+    ];
+
+    var $row = $('<tr>');
+    _.each(cells, function(text) {
+      $row.append($('<td>').text(text));
+    });
+    return $row;
+  }
+
+  /**
+   * Update the print time and batter usage estimate from the rendered GCODE.
+   */
+  function updateEstimate() {
+    var est = estimator.estimate(exportData.gcode, {
+      flowRates: renderSettings.getFlowRates(app.settings.v)
+    });
+    var $body = $('.estimate tbody', context).empty();
+
+    // Shades in the order they're first poured, @see settings.js pourGroups
+    var poured = _.sortBy(_.filter(_.range(est.shades.length), function(i) {
+      return est.shades[i].pourStart !== null;
+    }), function(i) {
+      return est.shades[i].pourStart;
+    });
+
+    _.each(poured, function(i) {
+      $body.append(estimateRow(i18n.t('color.color' + i), est.shades[i]));
+    });
+    $body.append(
+      estimateRow(i18n.t('export.estimate.total'), est.total).addClass('total')
+    );
+
+    var t = est.total;
+    $('.estimate .summary', context).text(i18n.t('export.estimate.summary', {
+      time: formatTime(t.travelTime + t.pourTime + t.dwellTime),
+      changes: t.shadeChanges,
+      travel: (t.travelLength / 1000).toFixed(2)
+    }));
+
+    // Cook timeline for each shade in the order poured.
+    var $timeline = $('.estimate .timeline', context).empty();
+    _.each(poured, function(s) {
+      var shade = est.shades[s];
+      var text = i18n.t('export.estimate.timelineitem', {
+        shade: i18n.t('color.color' + s),
+        start: formatTime(shade.pourStart),
+        end: formatTime(shade.pourEnd),
+        min: formatTime(est.time - shade.pourEnd),
+        max: formatTime(est.time - shade.pourStart)
+      });
+      if (shade.cookWait) {
+        text += ' ' + i18n.t('export.estimate.cookwait', {
+          wait: formatTime(shade.cookWait)
+        });
+      }
+      $timeline.append($('<li>').text(text));
+    });
+
+    // List where bottle refill pauses will happen, if any.
+    $('.estimate .refills', context).text(
+      est.refills.length ? i18n.t('export.estimate.refills', {
+        list: _.map(est.refills, function(refill) {
+          return i18n.t('export.estimate.refill', {
+            path: refill.path,
+            shade: i18n.t('color.color' + refill.color)
+          });
+        }).join(', ')
+      }) : ''
+    );
+
+    // List the paths too small to be filled or inset, poured as drawn.
+    $('.estimate .toosmall', context).text(
+      est.tooSmall.length ? i18n.t('export.estimate.toosmall', {
+        list: _.map(est.tooSmall, function(item) {
+          return i18n.t('export.estimate.toosmallitem', {
+            path: item.path,
+            item: i18n.t('export.preflight.' + item.type, {
+              shade: i18n.t('color.color' + item.color)
+            })
+          });
+        }).join(', ')
+      }) : ''
+    );
+  }
+
   // Map the settings to the renderConfig object.
-  // @see: main.js settings init default for explanations and default values.
+  // @see: settings.js defaults for explanations and default values.
   exportData.setRenderSettings = function() {
     var rc = exportData.renderConfig;
-    rc.flattenResolution = app.settings.v.flatten;
-    rc.lineEndPreShutoff = app.settings.v.shutoff;
-    rc.startWait = app.settings.v.startwait;
-    rc.endWait = app.settings.v.endwait;
-    rc.shadeChangeWait = app.settings.v.changewait;
-    rc.useLineFill = app.settings.v.uselinefill;
-    rc.useShortest = app.settings.v.useshortest;
-    rc.fillSpacing = app.settings.v.fillspacing;
-    rc.fillAngle = app.settings.v.fillangle;
-    rc.fillGroupThreshold = app.settings.v.fillthresh;
-    rc.shapeFillWidth = app.settings.v.shapefillwidth;
-    rc.botSpeed = parseInt(
-      (app.settings.v.botspeed / 100) * app.constants.botSpeedMax,
-      10
-    );
+    renderSettings.applyRenderSettings(rc, app.settings.v, app.constants);
 
-    // Capture editor view bounds and pass along for conversion as source.
-    rc.sourceBounds = paper.view.bounds;
+    // Printable area in drawing coordinates, to convert from as the source.
+    rc.sourceBounds = renderSettings.getSourceBounds(app.constants);
 
     // Mirroring swap.
     rc.noMirror = !$('#mirrorexport', context).prop('checked');
 
-    rc.useColorSpeed = app.settings.v.usecolorspeed;
-    rc.botColorSpeed = [
-      parseInt(
-        (app.settings.v.botspeedcolor1 / 100) * app.constants.botSpeedMax, 10
-      ),
-      parseInt(
-        (app.settings.v.botspeedcolor2 / 100) * app.constants.botSpeedMax, 10
-      ),
-      parseInt(
-        (app.settings.v.botspeedcolor3 / 100) * app.constants.botSpeedMax, 10
-      ),
-      parseInt(
-        (app.settings.v.botspeedcolor4 / 100) * app.constants.botSpeedMax, 10
-      ),
-    ];
+    // Preflight bounds clipping.
+    rc.clipToBounds = exportData.clipToBounds;
 
     exportData.renderUpdate();
   };
 
+  /**
+   * Fill the print port suggestions with the available serial ports.
+   */
+  function listPorts() {
+    transports.list(function(ports) {
+      var $list = $('#printports', context).empty();
+      _.each(ports, function(port) {
+        $list.append($('<option>').val(port));
+      });
+
+      var $port = $('#printport', context);
+      if (!$port.val()) $port.val(app.settings.v.printport || ports[0] || '');
+    });
+  }
+
+  /**
+   * Show the direct print job status, and the buttons that apply to it.
+   * @param  {Object} status
+   *   Spooler status object, @see gcode.spooler.js
+   */
+  function updatePrintStatus(status) {
+    var $printer = $('.printer', context);
+    var active = ['printing', 'paused', 'aborting'].indexOf(status.state) > -1;
+
+    var text = i18n.t('export.printer.states.' + status.state);
+    var atPath = status.state === 'printing' || status.state === 'paused';
+    if (atPath && status.path) {
+      text += ' ' + i18n.t('export.printer.path', status.path);
+    }
+    if (status.resends) {
+      text += ' ' + i18n.t('export.printer.resends', {count: status.resends});
+    }
+    $('.status', $printer).text(text);
+    $('progress', $printer).val(
+      status.total ? status.sent / status.total * 100 : 0
+    );
+
+    $('.connection', $printer).toggle(!active);
+    $('button[name=printer-start]', $printer).toggle(!active);
+    $('button[name=printer-pause]', $printer)
+      .toggle(status.state === 'printing');
+    $('button[name=printer-resume]', $printer)
+      .toggle(status.state === 'paused');
+    $('button[name=printer-abort]', $printer)
+      .toggle(status.state === 'printing' || status.state === 'paused');
+  }
+
+  /**
+   * Pick a bot emulator recording and draw it in the simulator in place of
+   * the render preview, @see emulator.js
+   */
+  function viewRecording() {
+    mainWindow.dialog({
+      t: 'OpenDialog',
+      title: i18n.t('export.printer.recording'),
+      filters: [
+        { name: i18n.t('file.gcodetype'), extensions: ['gcode'] }
+      ]
+    }, function(filePath) {
+      if (!filePath) return; // Cancelled
+      exportData.$webview.send.simulate(fs.readFileSync(filePath[0], 'utf8'));
+      toastr.info(i18n.t('export.printer.recordingshown', {
+        file: path.parse(filePath[0]).base
+      }));
+    });
+  }
+
+  /**
+   * Start printing the rendered GCODE directly to the chosen port.
+   */
+  exportData.print = function() {
+    var address = $('#printport', context).val().trim();
+    if (!address || exportData.spooler) return;
+
+    app.settings.v.printport = address;
+    app.settings.save();
+
+    var transport;
+    try {
+      transport = transports.open(address, app.settings.v.printbaud);
+    } catch(e) {
+      toastr.error(i18n.t('export.printer.err', {error: e.message}));
+      return;
+    }
+
+    exportData.spooler = createSpooler(transport, {
+      onProgress: updatePrintStatus,
+      onComplete: function(status) {
+        exportData.spooler = null;
+        if (status.state === 'done') {
+          toastr.success(i18n.t('export.printer.done'));
+        } else if (status.state === 'error') {
+          toastr.error(i18n.t('export.printer.err', {error: status.error}));
+        }
+      }
+    });
+    exportData.spooler.start(exportData.gcode);
+  };
+
+  /**
+   * Get the list of files to write for the initialized filePath, either the
+   * single file or one for each split part named after it, EG
+   * "name-shade4.gcode".
+   * @return {Array}
+   *   Array of objects keyed by "path" and "gcode".
+   */
+  function getExportFiles() {
+    if (!exportData.gcodeSplit) {
+      return [{path: exportData.filePath, gcode: exportData.gcode}];
+    }
+
+    var parsed = path.parse(exportData.filePath);
+    return _.map(exportData.gcodeSplit, function(part) {
+      return {
+        path: path.join(parsed.dir, parsed.name + '-' + part.name + parsed.ext),
+        gcode: part.gcode
+      };
+    });
+  }
+
   /**
    * Save rendered GCODE data to the given initialized filePath.
    */
   exportData.saveData = function() {
+    var files = getExportFiles();
     try {
-      fs.writeFileSync(exportData.filePath, exportData.gcode); // Write file!
+      _.each(files, function(file) {
+        fs.writeFileSync(file.path, file.gcode); // Write file!
+      });
 
       // Notify user
-      toastr.success(
-        i18n.t('export.note', {file: path.parse(exportData.filePath).base})
-      );
+      if (exportData.gcodeSplit) {
+        toastr.success(i18n.t('export.notesplit', {
+          count: files.length,
+          file: path.parse(exportData.filePath).name
+        }));
+      } else {
+        toastr.success(
+          i18n.t('export.note', {file: path.parse(exportData.filePath).base})
+        );
+      }
       mainWindow.overlay.toggleWindow('export', false); // Hide window.
     } catch(e) {
       console.error(e);
@@ -208,9 +811,11 @@ module.exports = function(context) {
    *   Function to call back when the user is done picking the file.
    */
   exportData.pickFile = function(callback) {
+    // Split exports are named after the picked file.
+    var title = exportData.gcodeSplit ? 'export.titlesplit' : 'export.title';
     mainWindow.dialog({
       t: 'SaveDialog',
-      title: i18n.t('export.title'),
+      title: i18n.t(title),
       defaultPath: path.join(
         app.getPath('userDesktop'),
         app.currentFile.name.split('.')[0]
@@ -253,16 +858,22 @@ module.exports = function(context) {
    */
   exportData.init = function() {
     $(window).on('settingsChanged', exportData.setRenderSettings);
+    $(window).on('settingsChanged', buildPourOrder);
     setupWebview();
     initRenderConfig();
+    buildDialectOptions();
     bindSettings();
     bindButtons();
+    bindPlayback();
+    updatePlayback({time: 0, total: 0, playing: false});
+    updatePrintStatus({state: 'idle'});
   };
 
   /**
    * Window show event callback, triggered on window show.
    */
   exportData.show = function() {
+    preflight();
     if (exportData.simulatorLoaded) {
       exportData.$webview.send.loadInit();
     }
@@ -273,8 +884,12 @@ module.exports = function(context) {
    * Window hide event callback, triggered on window close.
    */
   exportData.hide = function() {
+    // Nothing's left to watch or control a direct print, so safely stop it.
+    if (exportData.spooler) exportData.spooler.abort();
+
     exportData.$webview.send.cleanup();
     exportData.initLoaded = false;
+    $('.interstitial', context).hide();
   };
 
   /**